@@ -0,0 +1,334 @@
+/**
+ * SharedControl Approval Queue
+ * Lets the GM approve or reject player moves before they happen
+ *
+ * A player's confirmed path is stored in an `approval` flag on the token instead of being
+ * executed. Every GM client draws the pending paths and lists them in a popup; the GM's
+ * answer is written back to the same flag, and the requesting player's client then moves
+ * the token or cancels the preview. Flags sync to every client, so no socket is needed.
+ */
+
+import * as utils from './utils.js';
+import { debugLog } from './utils.js';
+
+// Color of pending paths drawn for the GM
+const PENDING_PATH_COLOR = 0xFF9900;
+
+export class ApprovalQueue {
+  constructor() {
+    this.hooks = [];
+    this.graphics = null; // PIXI.Graphics for the pending paths (GM only)
+    this.labels = []; // PIXI.Text labels at the end of the pending paths
+    this.panel = null; // Popup listing the pending requests (GM only)
+  }
+
+  /**
+   * Initialize and register hooks
+   */
+  initialize() {
+    this.registerHooks();
+    this.refresh();
+    debugLog('Approval queue initialized');
+  }
+
+  /**
+   * Register Foundry hooks
+   */
+  registerHooks() {
+    const updateTokenHook = Hooks.on('updateToken', (tokenDoc, changes) => {
+      const flags = changes.flags?.['shared-control'];
+      if (flags?.approval === undefined && flags?.['-=approval'] === undefined) return;
+      this.onRequestChanged(tokenDoc);
+    });
+    this.hooks.push({ name: 'updateToken', id: updateTokenHook });
+
+    for (const name of ['deleteToken', 'canvasReady']) {
+      this.hooks.push({ name, id: Hooks.on(name, () => this.refresh()) });
+    }
+  }
+
+  /**
+   * Check if the current user's moves need the GM's approval
+   * @returns {Boolean} - True if confirmed paths go to the GM first
+   */
+  isRequired() {
+    return !game.user.isGM && !!game.settings.get('shared-control', 'gmApproval');
+  }
+
+  /**
+   * Describe the current preview as a request for the GM
+   * @param {Token} token - The token the player wants to move
+   * @param {RulerPreview} rulerPreview - The ruler preview holding the path
+   * @param {Array} followers - Planned marching order moves {token, path} that go along
+   * @returns {Object} - Request {requestId, userId, path, distance, actions, mode, group, status}
+   */
+  createRequest(token, rulerPreview, followers = []) {
+    const moves = [...rulerPreview.groupPreview.plans, ...followers].filter(plan => plan.path.length > 0);
+    return {
+      requestId: foundry.utils.randomID(),
+      userId: game.user.id,
+      path: rulerPreview.currentPath.map(({ x, y }) => ({ x, y })),
+      distance: rulerPreview.currentDistance,
+      actions: rulerPreview.currentActions,
+      mode: rulerPreview.movementMode,
+      group: moves.map(plan => ({ tokenId: plan.token.id, path: plan.path.map(({ x, y }) => ({ x, y })) })),
+      status: 'pending',
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Send a request to the GM
+   * @param {Token} token - The token the player wants to move
+   * @param {Object} request - Request from createRequest
+   */
+  async submit(token, request) {
+    await token.document.setFlag('shared-control', 'approval', request);
+    debugLog('Approval requested for', token.name, request.requestId);
+  }
+
+  /**
+   * Answer a pending request (GM only)
+   * @param {TokenDocument} tokenDoc - The token the request is for
+   * @param {Boolean} approved - True to let the move happen
+   */
+  async resolve(tokenDoc, approved) {
+    if (!game.user.isGM) return;
+
+    const request = tokenDoc.getFlag('shared-control', 'approval');
+    if (request?.status !== 'pending') return;
+
+    try {
+      // Nobody is left to carry out the answer; just drop the request
+      if (!game.users.get(request.userId)?.active) {
+        await tokenDoc.unsetFlag('shared-control', 'approval');
+        return;
+      }
+
+      await tokenDoc.setFlag('shared-control', 'approval', {
+        ...request,
+        status: approved ? 'approved' : 'rejected'
+      });
+      debugLog('Approval request', approved ? 'approved' : 'rejected', 'for', tokenDoc.name);
+    } catch (error) {
+      console.warn('SharedControl: Could not answer approval request', error);
+      ui.notifications.warn(game.i18n.format('shared-control.notifications.approvalFailed', { name: tokenDoc.name }));
+    }
+  }
+
+  /**
+   * Remove a token's request, once answered or when the player cancels
+   * @param {Token} token - The token
+   */
+  async withdraw(token) {
+    try {
+      if (token?.document.getFlag('shared-control', 'approval')) {
+        await token.document.unsetFlag('shared-control', 'approval');
+      }
+    } catch (error) {
+      console.warn('SharedControl: Could not clear approval request', error);
+    }
+  }
+
+  /**
+   * React to a request being sent, answered or withdrawn
+   * @param {TokenDocument} tokenDoc - The token the request is for
+   */
+  onRequestChanged(tokenDoc) {
+    this.refresh();
+
+    // The requesting player carries out the GM's answer
+    const request = tokenDoc.getFlag('shared-control', 'approval');
+    if (!request || request.userId !== game.user.id || request.status === 'pending') return;
+
+    const stateMachine = game.sharedControl?.stateMachine;
+    if (stateMachine?.approvalRequest?.requestId !== request.requestId) return;
+    stateMachine.resolveApproval(request.status === 'approved', game.sharedControl.rulerPreview);
+  }
+
+  /**
+   * Get the requests waiting for the GM on the viewed scene
+   * @returns {Array} - Pending requests {token, request}
+   */
+  getPending() {
+    return (canvas.tokens?.placeables ?? [])
+      .map(token => ({ token, request: token.document.getFlag('shared-control', 'approval') }))
+      .filter(({ request }) => request?.status === 'pending')
+      .sort((a, b) => a.request.timestamp - b.request.timestamp);
+  }
+
+  /**
+   * Redraw the pending paths and the popup (GM only)
+   */
+  refresh() {
+    if (!game.user.isGM) return;
+
+    const pending = canvas.ready ? this.getPending() : [];
+    this.drawPaths(pending);
+    this.renderPanel(pending);
+  }
+
+  /**
+   * Draw the pending paths on the canvas
+   * @param {Array} pending - Pending requests {token, request}
+   */
+  drawPaths(pending) {
+    this.clearGraphics();
+    if (pending.length === 0 || !canvas.controls) return;
+
+    this.graphics = new PIXI.Graphics();
+    canvas.controls.addChild(this.graphics);
+
+    for (const { token, request } of pending) {
+      this.drawPath(token, request.path);
+      for (const member of request.group ?? []) {
+        const memberToken = canvas.tokens.get(member.tokenId);
+        if (memberToken) this.drawPath(memberToken, member.path);
+      }
+
+      const end = request.path.at(-1);
+      if (!end) continue;
+      const label = new PIXI.Text(`${game.users.get(request.userId)?.name ?? '?'}: ${this.formatCost(request)}`, {
+        fontSize: 18,
+        fill: PENDING_PATH_COLOR,
+        stroke: 0x000000,
+        strokeThickness: 4,
+        fontWeight: 'bold'
+      });
+      label.x = end.x - (label.width / 2);
+      label.y = end.y - canvas.grid.size / 2 - label.height;
+      canvas.controls.addChild(label);
+      this.labels.push(label);
+    }
+  }
+
+  /**
+   * Draw one token's pending path, ending in an outline of where it would stand
+   * @param {Token} token - The token
+   * @param {Array} path - Path points {x, y} excluding the origin
+   */
+  drawPath(token, path) {
+    const end = path.at(-1);
+    if (!end) return;
+
+    const origin = utils.isGridless() ? token.center : utils.getGridPosition(token.x, token.y);
+    this.graphics.lineStyle(4, PENDING_PATH_COLOR, 0.9);
+    this.graphics.moveTo(origin.x, origin.y);
+    for (const point of path) this.graphics.lineTo(point.x, point.y);
+
+    if (utils.isGridless()) {
+      this.graphics.drawCircle(end.x, end.y, Math.min(token.w, token.h) / 2);
+    } else {
+      const gridSize = canvas.grid.size;
+      const footprint = utils.getTokenFootprint(token);
+      this.graphics.drawRect(end.x - gridSize / 2, end.y - gridSize / 2,
+        footprint.width * gridSize, footprint.height * gridSize);
+    }
+    this.graphics.lineStyle(0);
+  }
+
+  /**
+   * Describe the cost of a requested move
+   * @param {Object} request - The request
+   * @returns {String} - e.g. "30 ft" or "30 ft · 2 actions"
+   */
+  formatCost(request) {
+    const distance = `${Math.round(request.distance)} ${canvas.grid.units || 'units'}`;
+    return request.actions ? `${distance} · ${utils.formatActions(request.actions)}` : distance;
+  }
+
+  /**
+   * Show the popup listing the pending requests, with approve and reject buttons
+   * @param {Array} pending - Pending requests {token, request}
+   */
+  renderPanel(pending) {
+    this.panel?.remove();
+    this.panel = null;
+    if (pending.length === 0) return;
+
+    const buttonSize = game.settings.get('shared-control', 'overlayButtonSize');
+    this.panel = document.createElement('div');
+    this.panel.id = 'shared-control-approval';
+    this.panel.className = 'shared-control-approval shared-control-confirm';
+    this.panel.style.setProperty('--button-size', `${buttonSize}px`);
+
+    const title = document.createElement('div');
+    title.className = 'shared-control-approval-title';
+    title.textContent = game.i18n.localize('shared-control.ui.approvalTitle');
+    this.panel.appendChild(title);
+
+    for (const { token, request } of pending) {
+      const row = document.createElement('div');
+      row.className = 'shared-control-panel-row shared-control-approval-row';
+
+      // Tapping the description pans to the path
+      const description = document.createElement('span');
+      description.className = 'shared-control-approval-text';
+      description.textContent = game.i18n.format('shared-control.ui.approvalRequest', {
+        user: game.users.get(request.userId)?.name ?? '?',
+        name: token.name,
+        cost: this.formatCost(request)
+      });
+      description.addEventListener('pointerdown', () => {
+        const end = request.path.at(-1) ?? token.center;
+        canvas.animatePan({ x: end.x, y: end.y, duration: 250 });
+      });
+      row.appendChild(description);
+
+      row.appendChild(this.createButton(game.i18n.localize('shared-control.ui.approveMove'),
+        'fa-solid fa-check', () => this.resolve(token.document, true)));
+      row.appendChild(this.createButton(game.i18n.localize('shared-control.ui.rejectMove'),
+        'fa-solid fa-xmark', () => this.resolve(token.document, false)));
+      this.panel.appendChild(row);
+    }
+
+    document.body.appendChild(this.panel);
+  }
+
+  /**
+   * Create a popup button
+   * @param {String} title - Tooltip
+   * @param {String} icon - Font Awesome classes
+   * @param {Function} onPress - Called when the button is pressed
+   * @returns {HTMLButtonElement} - The button
+   */
+  createButton(title, icon, onPress) {
+    const button = document.createElement('button');
+    button.className = 'shared-control-btn';
+    button.title = title;
+    button.innerHTML = `<i class="${icon}"></i>`;
+
+    // Handle on pointer down so the tap never reaches the canvas
+    button.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onPress();
+    });
+    return button;
+  }
+
+  /**
+   * Remove the pending path drawings
+   */
+  clearGraphics() {
+    if (this.graphics && !this.graphics.destroyed) this.graphics.destroy();
+    this.graphics = null;
+    for (const label of this.labels) {
+      if (!label.destroyed) label.destroy();
+    }
+    this.labels = [];
+  }
+
+  /**
+   * Clean up when module is disabled
+   */
+  destroy() {
+    for (const hook of this.hooks) {
+      Hooks.off(hook.name, hook.id);
+    }
+    this.hooks = [];
+    this.clearGraphics();
+    this.panel?.remove();
+    this.panel = null;
+  }
+}
@@ -0,0 +1,442 @@
+/**
+ * SharedControl Grid Search
+ * A* and flood fill over grid cells. Free of Foundry globals so the same search runs
+ * on the main thread and in the pathfinding worker
+ *
+ * A search runs over a "space" describing the scene:
+ *   grid: {kind, diagonalCosts} - neighbor layout and diagonal step cost per parity
+ *   canPlaceAt(anchor): true if the token's footprint may stand on an anchor cell
+ *   isStepBlocked(from, to): true if walls block a step between adjacent anchors
+ *   getTerrainMultiplier(anchor): cost multiplier for entering an anchor cell
+ *   getHazardPenalty(anchor): optional extra routing cost for entering an anchor cell,
+ *     steering A* away from hazards without counting as movement
+ *   costFloor: lowest terrain multiplier on the scene, keeps the heuristic admissible
+ *   maxIterations: A* iteration cap
+ */
+
+import { PriorityQueue } from './priority-queue.js';
+
+// Neighbor layouts
+export const GRID_KINDS = {
+  SQUARE: 'square',
+  HEX_ROWS: 'hexRows',
+  HEX_COLUMNS: 'hexColumns'
+};
+
+/**
+ * Get the adjacent cells of a grid offset
+ * @param {Object} offset - Grid offset {i, j}
+ * @param {String} kind - Neighbor layout from GRID_KINDS
+ * @returns {Array} - Array of neighbor offsets {i, j}
+ */
+export function getOffsetNeighbors(offset, kind = GRID_KINDS.SQUARE) {
+  // Hex rows (pointy-top) - neighbors depend on row parity
+  if (kind === GRID_KINDS.HEX_ROWS) {
+    const isOddRow = offset.j % 2 !== 0;
+    if (isOddRow) {
+      return [
+        { i: offset.i + 1, j: offset.j },     // right
+        { i: offset.i - 1, j: offset.j },     // left
+        { i: offset.i, j: offset.j - 1 },     // upper-left
+        { i: offset.i + 1, j: offset.j - 1 }, // upper-right
+        { i: offset.i, j: offset.j + 1 },     // lower-left
+        { i: offset.i + 1, j: offset.j + 1 }, // lower-right
+      ];
+    } else {
+      return [
+        { i: offset.i + 1, j: offset.j },     // right
+        { i: offset.i - 1, j: offset.j },     // left
+        { i: offset.i - 1, j: offset.j - 1 }, // upper-left
+        { i: offset.i, j: offset.j - 1 },     // upper-right
+        { i: offset.i - 1, j: offset.j + 1 }, // lower-left
+        { i: offset.i, j: offset.j + 1 },     // lower-right
+      ];
+    }
+  }
+
+  // Hex columns (flat-top) - neighbors depend on column parity
+  if (kind === GRID_KINDS.HEX_COLUMNS) {
+    const isOddCol = offset.i % 2 !== 0;
+    if (isOddCol) {
+      return [
+        { i: offset.i, j: offset.j - 1 },     // up
+        { i: offset.i, j: offset.j + 1 },     // down
+        { i: offset.i - 1, j: offset.j },     // upper-left
+        { i: offset.i - 1, j: offset.j + 1 }, // lower-left
+        { i: offset.i + 1, j: offset.j },     // upper-right
+        { i: offset.i + 1, j: offset.j + 1 }, // lower-right
+      ];
+    } else {
+      return [
+        { i: offset.i, j: offset.j - 1 },     // up
+        { i: offset.i, j: offset.j + 1 },     // down
+        { i: offset.i - 1, j: offset.j - 1 }, // upper-left
+        { i: offset.i - 1, j: offset.j },     // lower-left
+        { i: offset.i + 1, j: offset.j - 1 }, // upper-right
+        { i: offset.i + 1, j: offset.j },     // lower-right
+      ];
+    }
+  }
+
+  // Square grid - 8-directional movement with diagonals
+  return [
+    { i: offset.i + 1, j: offset.j },     // right
+    { i: offset.i - 1, j: offset.j },     // left
+    { i: offset.i, j: offset.j + 1 },     // down
+    { i: offset.i, j: offset.j - 1 },     // up
+    { i: offset.i + 1, j: offset.j - 1 }, // up-right (diagonal)
+    { i: offset.i - 1, j: offset.j - 1 }, // up-left (diagonal)
+    { i: offset.i + 1, j: offset.j + 1 }, // down-right (diagonal)
+    { i: offset.i - 1, j: offset.j + 1 }, // down-left (diagonal)
+  ];
+}
+
+/**
+ * Get an order-independent key for the edge between two cells
+ * @param {Object} a - Grid offset {i, j}
+ * @param {Object} b - Grid offset {i, j}
+ * @returns {String} - Edge key
+ */
+export function getEdgeKey(a, b) {
+  const swap = a.i > b.i || (a.i === b.i && a.j > b.j);
+  const [first, second] = swap ? [b, a] : [a, b];
+  return `${first.i},${first.j}|${second.i},${second.j}`;
+}
+
+/**
+ * Get a key for a step in one direction between two cells
+ * @param {Object} from - From grid offset {i, j}
+ * @param {Object} to - To grid offset {i, j}
+ * @returns {String} - Step key
+ */
+export function getStepKey(from, to) {
+  return `${from.i},${from.j}>${to.i},${to.j}`;
+}
+
+/**
+ * Check if a step between adjacent cells is a diagonal
+ * Hex grids have no diagonals even though both offset coordinates can change
+ * @param {Object} from - From grid offset {i, j}
+ * @param {Object} to - To grid offset {i, j}
+ * @param {Object} grid - Search grid {kind}
+ * @returns {Boolean} - True if diagonal
+ */
+export function isDiagonalStep(from, to, grid) {
+  if (grid.kind !== GRID_KINDS.SQUARE) return false;
+  return from.i !== to.i && from.j !== to.j;
+}
+
+/**
+ * Get the cost of a single step, scaled by the destination's terrain
+ * @param {Object} from - From node {i, j, d} (d = diagonal parity)
+ * @param {Object} to - To grid offset {i, j}
+ * @param {Object} space - Search space
+ * @returns {Number} - Step cost in grid spaces (Infinity if impassable)
+ */
+export function getStepCost(from, to, space) {
+  const baseCost = isDiagonalStep(from, to, space.grid)
+    ? space.grid.diagonalCosts[from.d ?? 0]
+    : 1;
+  if (!Number.isFinite(baseCost)) return baseCost;
+
+  return baseCost * space.getTerrainMultiplier(to);
+}
+
+/**
+ * Lower bound on the cost between two cells under the grid's diagonal rule
+ * @param {Object} a - Grid offset {i, j}
+ * @param {Object} b - Grid offset {i, j}
+ * @param {Object} space - Search space
+ * @returns {Number} - Estimated cost in grid spaces
+ */
+export function getHeuristic(a, b, space) {
+  const dx = Math.abs(a.i - b.i);
+  const dy = Math.abs(a.j - b.j);
+  const { kind, diagonalCosts } = space.grid;
+
+  // For hex grids, use Manhattan distance
+  if (kind !== GRID_KINDS.SQUARE) {
+    return (dx + dy) * space.costFloor;
+  }
+
+  const diagonals = Math.min(dx, dy);
+  const straight = Math.max(dx, dy) - diagonals;
+  const [first, second] = diagonalCosts;
+
+  // A diagonal never costs more than going around it, and alternating rules charge
+  // the higher cost on every second diagonal, whichever parity we start on
+  const cheaper = Math.min(first, second, 2);
+  const pricier = Math.min(Math.max(first, second), 2);
+  const estimate = straight + (cheaper * diagonals) + ((pricier - cheaper) * Math.floor(diagonals / 2));
+
+  return estimate * space.costFloor;
+}
+
+/**
+ * Check if diagonal costs depend on how many diagonals came before
+ * The search state is then the cell plus the parity of diagonals taken so far
+ * @param {Object} grid - Search grid {diagonalCosts}
+ * @returns {Boolean} - True if parity must be tracked
+ */
+function tracksParity(grid) {
+  return grid.diagonalCosts[0] !== grid.diagonalCosts[1];
+}
+
+/**
+ * A* search between two anchor cells
+ * @param {Object} startOffset - Start grid offset {i, j}
+ * @param {Object} endOffset - End grid offset {i, j}
+ * @param {Object} space - Search space
+ * @returns {Object} - {path: Array of grid offsets or null, cost, iterations, explored, limitReached}
+ */
+export function searchPath(startOffset, endOffset, space) {
+  const trackParity = tracksParity(space.grid);
+
+  // Helper to get unique key for a search node
+  const getKey = (node) => trackParity ? `${node.i},${node.j},${node.d}` : `${node.i},${node.j}`;
+
+  // Initialize open and closed sets
+  const openSet = new PriorityQueue();
+  const closedSet = new Set();
+  const cameFrom = new Map(); // nodeKey -> previous node
+  const gScore = new Map();
+
+  const start = { i: startOffset.i, j: startOffset.j, d: 0 };
+  const startKey = getKey(start);
+  gScore.set(startKey, 0);
+  openSet.push(startKey, start, getHeuristic(start, endOffset, space));
+
+  let iterations = 0;
+  const maxIterations = space.maxIterations;
+
+  while (!openSet.isEmpty() && iterations < maxIterations) {
+    iterations++;
+
+    // Get node with lowest fScore
+    const { key: currentKey, value: current } = openSet.pop();
+
+    // Check if we reached the destination (any diagonal parity)
+    if (current.i === endOffset.i && current.j === endOffset.j) {
+      // Reconstruct path
+      const path = [{ i: current.i, j: current.j }];
+      let temp = current;
+      while (cameFrom.has(getKey(temp))) {
+        temp = cameFrom.get(getKey(temp));
+        path.unshift({ i: temp.i, j: temp.j });
+      }
+      return { path, cost: gScore.get(currentKey), iterations, explored: closedSet.size, limitReached: false };
+    }
+
+    closedSet.add(currentKey);
+
+    // Check all neighbors
+    for (const offset of getOffsetNeighbors(current, space.grid.kind)) {
+      const isDiagonal = isDiagonalStep(current, offset, space.grid);
+      const neighbor = { i: offset.i, j: offset.j, d: isDiagonal ? 1 - current.d : current.d };
+      const neighborKey = getKey(neighbor);
+
+      if (closedSet.has(neighborKey)) continue;
+
+      // Skip neighbors outside map bounds (or where the footprint does not fit)
+      if (!space.canPlaceAt(neighbor)) {
+        closedSet.add(neighborKey);
+        continue;
+      }
+
+      // Calculate tentative gScore (account for diagonal rule, terrain cost and hazards,
+      // which never apply to the destination itself)
+      const isEnd = neighbor.i === endOffset.i && neighbor.j === endOffset.j;
+      const moveCost = getStepCost(current, neighbor, space) +
+        ((isEnd || !space.getHazardPenalty) ? 0 : space.getHazardPenalty(neighbor));
+      if (!Number.isFinite(moveCost)) continue; // Impassable terrain, avoided hazard or illegal diagonal
+
+      const tentativeGScore = gScore.get(currentKey) + moveCost;
+
+      // Skip before the wall check if this is not an improvement
+      if (tentativeGScore >= (gScore.get(neighborKey) ?? Infinity)) continue;
+
+      // Check if movement to this neighbor is blocked by walls
+      if (space.isStepBlocked(current, neighbor)) {
+        // Don't add to closedSet - cell might be reachable from another direction
+        continue;
+      }
+
+      // This path is the best so far - insert or decrease its priority
+      cameFrom.set(neighborKey, current);
+      gScore.set(neighborKey, tentativeGScore);
+      openSet.push(neighborKey, neighbor, tentativeGScore + getHeuristic(neighbor, endOffset, space));
+    }
+  }
+
+  return { path: null, cost: Infinity, iterations, explored: closedSet.size, limitReached: iterations >= maxIterations };
+}
+
+/**
+ * Find every anchor cell reachable within a movement cost (bounded Dijkstra flood fill)
+ * @param {Object} startOffset - Start grid offset {i, j}
+ * @param {Number} maxCost - Cost limit in grid steps
+ * @param {Object} space - Search space
+ * @returns {Map} - cellKey -> {i, j, cost} with the cheapest cost to reach each anchor cell
+ */
+export function searchReachable(startOffset, maxCost, space) {
+  // Same parity tracking as searchPath for alternating diagonal rules
+  const trackParity = tracksParity(space.grid);
+  const getKey = (node) => trackParity ? `${node.i},${node.j},${node.d}` : `${node.i},${node.j}`;
+
+  const reachable = new Map();
+  const openSet = new PriorityQueue();
+  const closedSet = new Set();
+  const start = { i: startOffset.i, j: startOffset.j, d: 0 };
+  openSet.push(getKey(start), start, 0);
+
+  while (!openSet.isEmpty()) {
+    const { key: currentKey, value: current, priority: cost } = openSet.pop();
+    closedSet.add(currentKey);
+
+    const cellKey = `${current.i},${current.j}`;
+    if (!reachable.has(cellKey)) {
+      reachable.set(cellKey, { i: current.i, j: current.j, cost });
+    }
+
+    for (const offset of getOffsetNeighbors(current, space.grid.kind)) {
+      const isDiagonal = isDiagonalStep(current, offset, space.grid);
+      const neighbor = { i: offset.i, j: offset.j, d: isDiagonal ? 1 - current.d : current.d };
+      const neighborKey = getKey(neighbor);
+
+      if (closedSet.has(neighborKey) || !space.canPlaceAt(neighbor)) continue;
+
+      const tentativeCost = cost + getStepCost(current, neighbor, space);
+      if (!(tentativeCost <= maxCost)) continue; // Out of range, impassable or illegal diagonal
+      if (tentativeCost >= (openSet.getPriority(neighborKey) ?? Infinity)) continue;
+      if (space.isStepBlocked(current, neighbor)) continue;
+
+      openSet.push(neighborKey, neighbor, tentativeCost);
+    }
+  }
+
+  return reachable;
+}
+
+/**
+ * Get the index of a cell in a snapshot's per-cell arrays
+ * @param {Object} cells - Snapshot cell range {minI, minJ, rows, columns}
+ * @param {Object} offset - Grid offset {i, j}
+ * @returns {Number} - Index, or -1 outside the range
+ */
+function getCellIndex(cells, offset) {
+  const row = offset.i - cells.minI;
+  const column = offset.j - cells.minJ;
+  if (row < 0 || column < 0 || row >= cells.rows || column >= cells.columns) return -1;
+  return (row * cells.columns) + column;
+}
+
+/**
+ * Build a search space from a serialized scene snapshot
+ * Mirrors the main thread's placement, wall and terrain rules using plain data only
+ * @param {Object} snapshot - Scene snapshot
+ * @param {Object} snapshot.grid - Search grid {kind, diagonalCosts}
+ * @param {Object} snapshot.cells - Cell range {minI, minJ, rows, columns} of the arrays below
+ * @param {Uint8Array} snapshot.bounds - Per-cell flags, 1 where a token may stand within the scene bounds
+ * @param {Array} snapshot.blockedEdges - Edge keys walls block for this user and movement mode
+ * @param {Array} snapshot.blockedSteps - Step keys blocked in one direction only (one-way walls)
+ * @param {Float64Array|null} snapshot.costs - Per-cell terrain multipliers, or null if all are 1
+ * @param {Float64Array|null} snapshot.hazards - Per-cell hazard penalties, or null if there are none
+ * @param {Number} snapshot.costFloor - Lowest terrain multiplier
+ * @param {Number} snapshot.maxIterations - A* iteration cap
+ * @param {Object} request - Per-search data {footprint, occupancy: Array of [cellKey, blocks]}
+ * @returns {Object} - Search space
+ */
+export function createSnapshotSpace(snapshot, request) {
+  const { cells, bounds, costs, hazards } = snapshot;
+  const blockedEdges = snapshot.blockedEdgeSet ?? new Set(snapshot.blockedEdges);
+  const footprint = request.footprint ?? { width: 1, height: 1 };
+  const isLargeToken = footprint.width > 1 || footprint.height > 1;
+  const blockingCells = new Set((request.occupancy ?? []).filter(([, blocks]) => blocks).map(([cellKey]) => cellKey));
+
+  const footprintCells = (anchor) => {
+    const offsets = [];
+    for (let di = 0; di < footprint.height; di++) {
+      for (let dj = 0; dj < footprint.width; dj++) {
+        offsets.push({ i: anchor.i + di, j: anchor.j + dj });
+      }
+    }
+    return offsets;
+  };
+
+  const isCellInBounds = (offset) => {
+    const index = getCellIndex(cells, offset);
+    return index >= 0 && bounds[index] === 1;
+  };
+
+  const blockedSteps = snapshot.blockedStepSet ?? new Set(snapshot.blockedSteps);
+
+  const isEdgeBlocked = (from, to) => blockedEdges.has(getEdgeKey(from, to)) ||
+    (blockedSteps.size > 0 && blockedSteps.has(getStepKey(from, to)));
+
+  // A token cannot be placed straddling a wall
+  const isObstructed = (anchor) => {
+    for (const cell of footprintCells(anchor)) {
+      const right = { i: cell.i, j: cell.j + 1 };
+      const below = { i: cell.i + 1, j: cell.j };
+
+      if (cell.j + 1 < anchor.j + footprint.width && isEdgeBlocked(cell, right)) return true;
+      if (cell.i + 1 < anchor.i + footprint.height && isEdgeBlocked(cell, below)) return true;
+    }
+    return false;
+  };
+
+  const placementCache = new Map(); // cellKey -> Boolean (footprint fits here)
+
+  return {
+    grid: snapshot.grid,
+    costFloor: snapshot.costFloor,
+    maxIterations: snapshot.maxIterations,
+
+    canPlaceAt(anchor) {
+      // Hostile tokens block every step into their space
+      const offsets = footprintCells(anchor);
+      if (blockingCells.size && offsets.some(cell => blockingCells.has(`${cell.i},${cell.j}`))) return false;
+      if (!isLargeToken) return isCellInBounds(anchor);
+
+      const cellKey = `${anchor.i},${anchor.j}`;
+      if (!placementCache.has(cellKey)) {
+        placementCache.set(cellKey, offsets.every(isCellInBounds) && !isObstructed(anchor));
+      }
+      return placementCache.get(cellKey);
+    },
+
+    isStepBlocked(from, to) {
+      const di = to.i - from.i;
+      const dj = to.j - from.j;
+
+      // Every cell of the footprint must be able to make the same step
+      for (const cell of footprintCells(from)) {
+        if (isEdgeBlocked(cell, { i: cell.i + di, j: cell.j + dj })) return true;
+      }
+      return false;
+    },
+
+    getTerrainMultiplier(anchor) {
+      if (!costs) return 1;
+
+      // For multi-cell tokens the most expensive cell under the footprint applies
+      let multiplier = 0;
+      for (const cell of footprintCells(anchor)) {
+        const index = getCellIndex(cells, cell);
+        multiplier = Math.max(multiplier, index >= 0 ? costs[index] : 1);
+      }
+      return multiplier;
+    },
+
+    getHazardPenalty(anchor) {
+      if (!hazards) return 0;
+
+      let penalty = 0;
+      for (const cell of footprintCells(anchor)) {
+        const index = getCellIndex(cells, cell);
+        if (index >= 0) penalty = Math.max(penalty, hazards[index]);
+      }
+      return penalty;
+    }
+  };
+}
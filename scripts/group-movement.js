@@ -0,0 +1,520 @@
+/**
+ * SharedControl Group Movement
+ * Plans, draws and executes the moves of the extra tokens selected in group mode
+ *
+ * The first selected token leads: its path is the normal preview. Every other member keeps
+ * its place in the formation, heading for the leader's destination plus the offset it has
+ * from the leader now. When that space is taken or unreachable the nearest free space is
+ * used instead. Every member holds its current space until it has somewhere else to go, so
+ * no two tokens of the group ever end on the same space.
+ */
+
+import * as utils from './utils.js';
+import { debugLog } from './utils.js';
+
+// Path colors of the members following the leader, in selection order
+const GROUP_COLORS = [0x3399FF, 0xFF66CC, 0xFF9933, 0x9966FF, 0x33CCCC, 0xCCCC33];
+
+// Rings of spaces searched around a formation spot for a free destination
+const FORMATION_SEARCH_RINGS = 3;
+
+// Destinations tried with a path search before a member is left behind
+const MAX_FORMATION_ATTEMPTS = 4;
+
+export class GroupPreview {
+  /**
+   * @param {RulerPreview} rulerPreview - The ruler preview the leader's path is drawn by
+   */
+  constructor(rulerPreview) {
+    this.rulerPreview = rulerPreview;
+    this.leader = null;
+    this.members = []; // Tokens following the leader, in selection order
+    this.plans = []; // Planned moves {token, path, distance, actions, color}
+    this.graphics = null; // PIXI.Graphics for member highlights and paths
+    this.labels = []; // PIXI.Text distance labels at the end of member paths
+  }
+
+  /**
+   * Set the tokens moving as a group
+   * @param {Token|null} leader - The token whose path is previewed normally
+   * @param {Array} members - The other tokens of the group
+   */
+  setMembers(leader, members) {
+    this.leader = leader;
+    this.members = [...members];
+    this.plans = [];
+    this.draw();
+  }
+
+  /**
+   * Check if a token belongs to the group (leader or member)
+   * @param {Token} token - The token
+   * @returns {Boolean} - True if it moves with the group
+   */
+  includes(token) {
+    return !!token && this.members.length > 0 &&
+      (token === this.leader || this.members.some(member => member.id === token.id));
+  }
+
+  /**
+   * Get the path color of a member
+   * @param {Token} token - A group member
+   * @returns {Number} - Color
+   */
+  getColor(token) {
+    const index = this.members.findIndex(member => member.id === token.id);
+    return GROUP_COLORS[Math.max(0, index) % GROUP_COLORS.length];
+  }
+
+  /**
+   * Plan every member's move to follow the leader's previewed path
+   * @returns {Boolean|null} - True if planned, false if the group can't end apart,
+   *   null if a newer preview replaced this one
+   */
+  async show() {
+    this.plans = [];
+    this.draw();
+    if (!this.leader || this.members.length === 0) return true;
+
+    const request = this.rulerPreview.previewRequest;
+    const plans = utils.isGridless()
+      ? await this.planGridlessMoves(request)
+      : await this.planGridMoves(request);
+    if (plans === null) return null;
+    if (!plans) return false;
+
+    this.plans = plans;
+    this.draw();
+    debugLog('Group preview planned for', plans.length, 'of', this.members.length, 'members');
+    return true;
+  }
+
+  /**
+   * Plan member moves on a gridded scene
+   * @param {Number} request - The preview's request number
+   * @returns {Array|Boolean|null} - Planned moves, false if the leader would end on a member
+   *   left behind, or null if a newer preview replaced this one
+   */
+  async planGridMoves(request) {
+    const rulerPreview = this.rulerPreview;
+    const leaderStart = canvas.grid.getOffset(utils.getGridPosition(this.leader.x, this.leader.y));
+    const leaderEnd = canvas.grid.getOffset(rulerPreview.currentPath.at(-1) ??
+      utils.getGridPosition(this.leader.x, this.leader.y));
+
+    // Spaces members stand on until they have a plan, and destinations already chosen,
+    // starting with the leader's (which may be a space a member is about to leave)
+    const reserved = new Map();
+    for (const token of this.members) {
+      const start = canvas.grid.getOffset(utils.getGridPosition(token.x, token.y));
+      this.reserveCells(reserved, start, utils.getTokenFootprint(token), token);
+    }
+    this.reserveCells(reserved, leaderEnd, utils.getTokenFootprint(this.leader), this.leader);
+
+    const plans = [];
+    for (const token of this.members) {
+      const origin = utils.getGridPosition(token.x, token.y);
+      const start = canvas.grid.getOffset(origin);
+      const footprint = utils.getTokenFootprint(token);
+      const spot = { i: leaderEnd.i + start.i - leaderStart.i, j: leaderEnd.j + start.j - leaderStart.j };
+
+      const plan = await this.planGridMove(token, origin, spot, reserved, request);
+      if (rulerPreview.previewRequest !== request) return null;
+
+      if (!plan) {
+        // Only the leader's destination can have been placed on a member's space
+        const startCells = utils.getFootprintOffsets(start, footprint).map(cell => `${cell.i},${cell.j}`);
+        if (startCells.some(cellKey => reserved.get(cellKey)?.token !== token)) {
+          this.warnEndBlocked(token);
+          return false;
+        }
+        ui.notifications.warn(game.i18n.format('shared-control.notifications.groupMemberBlocked', { name: token.name }));
+        continue;
+      }
+
+      // The member's space is free once it has somewhere else to go
+      if (plan.path.length > 0) this.releaseCells(reserved, start, footprint, token);
+      this.reserveCells(reserved, plan.anchor, footprint, token);
+      plans.push(plan);
+    }
+    return plans;
+  }
+
+  /**
+   * Plan one member's move to the free space nearest its formation spot
+   * @param {Token} token - The member
+   * @param {Object} origin - Center of the member's top-left cell {x, y}
+   * @param {Object} spot - Grid offset {i, j} the formation puts it on
+   * @param {Map} reserved - Spaces held by members and taken by chosen destinations
+   * @param {Number} request - The preview's request number
+   * @returns {Object|null} - Planned move {token, anchor, path, distance, actions, color}, or null
+   */
+  async planGridMove(token, origin, spot, reserved, request) {
+    const rulerPreview = this.rulerPreview;
+    const footprint = utils.getTokenFootprint(token);
+    const occupancy = rulerPreview.getOccupancy(token);
+    for (const [cellKey, entry] of reserved) {
+      if (entry.token === token) continue;
+      if (!occupancy.get(cellKey)?.blocks) occupancy.set(cellKey, entry);
+    }
+
+    const options = {
+      action: rulerPreview.movementMode,
+      elevation: token.document?.elevation ?? 0,
+      footprint,
+      occupancy,
+      hazards: game.settings.get('shared-control', 'hazardRouting')
+    };
+    const start = canvas.grid.getOffset(origin);
+
+    let attempts = 0;
+    for (const anchor of this.getFormationCandidates(spot)) {
+      if (!rulerPreview.isFootprintWithinBounds(anchor, footprint) ||
+          rulerPreview.isFootprintObstructed(anchor, footprint) ||
+          rulerPreview.getFootprintOccupant(anchor, footprint, occupancy)) continue;
+
+      if (anchor.i === start.i && anchor.j === start.j) return this.createPlan(token, anchor, [], 0);
+
+      if (++attempts > MAX_FORMATION_ATTEMPTS) break;
+      const path = await rulerPreview.getGridPath(origin, utils.getGridCellCenter(anchor), options);
+      if (rulerPreview.previewRequest !== request) return null;
+      if (!path?.length) continue;
+
+      const distance = (rulerPreview.measureSystemCost(token, path) ??
+        rulerPreview.measurePathDistance(origin, path, options)) *
+        utils.getMovementCostMultiplier(token, rulerPreview.movementMode);
+      return this.createPlan(token, anchor, path, distance);
+    }
+    return null;
+  }
+
+  /**
+   * List the spaces around a formation spot, nearest first
+   * @param {Object} spot - Grid offset {i, j}
+   * @returns {Array} - Grid offsets {i, j}
+   */
+  getFormationCandidates(spot) {
+    const candidates = [];
+    for (let di = -FORMATION_SEARCH_RINGS; di <= FORMATION_SEARCH_RINGS; di++) {
+      for (let dj = -FORMATION_SEARCH_RINGS; dj <= FORMATION_SEARCH_RINGS; dj++) {
+        candidates.push({ i: spot.i + di, j: spot.j + dj, ring: Math.max(Math.abs(di), Math.abs(dj)), d: Math.hypot(di, dj) });
+      }
+    }
+    return candidates
+      .sort((a, b) => (a.ring - b.ring) || (a.d - b.d))
+      .map(({ i, j }) => ({ i, j }));
+  }
+
+  /**
+   * Mark the cells of a footprint as a chosen destination
+   * @param {Map} reserved - Reserved cells, cellKey -> {token, blocks}
+   * @param {Object} anchor - Top-left grid offset {i, j}
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @param {Token} token - The token ending there
+   */
+  reserveCells(reserved, anchor, footprint, token) {
+    for (const cell of utils.getFootprintOffsets(anchor, footprint)) {
+      reserved.set(`${cell.i},${cell.j}`, { token, blocks: false });
+    }
+  }
+
+  /**
+   * Free the cells of a footprint a token no longer holds
+   * @param {Map} reserved - Reserved cells, cellKey -> {token, blocks}
+   * @param {Object} anchor - Top-left grid offset {i, j}
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @param {Token} token - The token leaving them
+   */
+  releaseCells(reserved, anchor, footprint, token) {
+    for (const cell of utils.getFootprintOffsets(anchor, footprint)) {
+      const cellKey = `${cell.i},${cell.j}`;
+      if (reserved.get(cellKey)?.token === token) reserved.delete(cellKey);
+    }
+  }
+
+  /**
+   * Explain that the leader's destination is held by a member that can't move
+   * @param {Token} token - The member left behind
+   */
+  warnEndBlocked(token) {
+    debugLog('Group preview rejected, leader would end on', token.name);
+    ui.notifications.warn(game.i18n.format('shared-control.notifications.groupEndBlocked', {
+      leader: this.leader.name,
+      name: token.name
+    }));
+  }
+
+  /**
+   * Plan member moves on a gridless scene
+   * @param {Number} request - The preview's request number
+   * @returns {Array|Boolean|null} - Planned moves, false if the leader would end on a member
+   *   left behind, or null if a newer preview replaced this one
+   */
+  async planGridlessMoves(request) {
+    const rulerPreview = this.rulerPreview;
+    const leaderEnd = rulerPreview.currentPath.at(-1) ?? this.leader.center;
+
+    // Circles taken by destinations already chosen, by tokens outside the group,
+    // and by members until they have a plan
+    const leaderCircle = { x: leaderEnd.x, y: leaderEnd.y, radius: Math.min(this.leader.w, this.leader.h) / 2 };
+    const taken = [leaderCircle];
+    for (const other of canvas.tokens?.placeables ?? []) {
+      if (other === this.leader) continue;
+      const member = this.includes(other);
+      if (!member && (utils.isTokenDefeated(other) || (!game.user.isGM && !other.visible))) continue;
+      taken.push({ x: other.center.x, y: other.center.y, radius: Math.min(other.w, other.h) / 2, tokenId: member ? other.id : null });
+    }
+
+    const plans = [];
+    for (const token of this.members) {
+      const radius = Math.min(token.w, token.h) / 2;
+      const spot = {
+        x: leaderEnd.x + token.center.x - this.leader.center.x,
+        y: leaderEnd.y + token.center.y - this.leader.center.y
+      };
+
+      let plan = null;
+      let attempts = 0;
+      for (const point of this.getGridlessCandidates(spot, radius * 2)) {
+        if (!rulerPreview.isWithinBounds(point)) continue;
+        if (taken.some(circle => circle.tokenId !== token.id &&
+            Math.hypot(circle.x - point.x, circle.y - point.y) < circle.radius + radius - 1)) continue;
+
+        if (Math.hypot(point.x - token.center.x, point.y - token.center.y) < 1) {
+          plan = this.createPlan(token, null, [], 0);
+        } else {
+          if (++attempts > MAX_FORMATION_ATTEMPTS) break;
+          const path = await rulerPreview.getGridlessPath(token.center, point, radius);
+          if (rulerPreview.previewRequest !== request) return null;
+          if (!path?.length) continue;
+
+          const distance = (rulerPreview.measureSystemCost(token, path) ??
+            rulerPreview.measurePolylineDistance(token.center, path)) *
+            utils.getMovementCostMultiplier(token, rulerPreview.movementMode);
+          plan = this.createPlan(token, null, path, distance);
+
+          // The member's place is free once it has somewhere else to go
+          const held = taken.findIndex(circle => circle.tokenId === token.id);
+          if (held >= 0) taken.splice(held, 1);
+        }
+        taken.push({ x: point.x, y: point.y, radius });
+        break;
+      }
+
+      if (!plan) {
+        if (Math.hypot(leaderCircle.x - token.center.x, leaderCircle.y - token.center.y) < leaderCircle.radius + radius - 1) {
+          this.warnEndBlocked(token);
+          return false;
+        }
+        ui.notifications.warn(game.i18n.format('shared-control.notifications.groupMemberBlocked', { name: token.name }));
+        continue;
+      }
+      plans.push(plan);
+    }
+    return plans;
+  }
+
+  /**
+   * List points around a gridless formation spot, nearest first
+   * @param {Object} spot - Formation spot {x, y}
+   * @param {Number} spacing - Distance between rings in pixels
+   * @returns {Array} - Points {x, y}
+   */
+  getGridlessCandidates(spot, spacing) {
+    const candidates = [{ x: spot.x, y: spot.y }];
+    for (let ring = 1; ring <= FORMATION_SEARCH_RINGS; ring++) {
+      for (let k = 0; k < 8; k++) {
+        const angle = (Math.PI / 4) * k;
+        candidates.push({ x: spot.x + Math.cos(angle) * spacing * ring, y: spot.y + Math.sin(angle) * spacing * ring });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Build a planned move
+   * @param {Token} token - The member
+   * @param {Object|null} anchor - Top-left grid offset {i, j} of the destination (null when gridless)
+   * @param {Array} path - Path points {x, y} excluding the origin
+   * @param {Number} distance - Movement cost in scene units
+   * @returns {Object} - Planned move {token, anchor, path, distance, actions, color}
+   */
+  createPlan(token, anchor, path, distance) {
+    const budget = this.rulerPreview.getMovementBudget(token);
+    const actions = (budget !== null && utils.usesActionMovement())
+      ? utils.getStrideActions(distance, budget.speed)
+      : 0;
+    return { token, anchor, path, distance, actions, color: this.getColor(token) };
+  }
+
+  /**
+   * Draw the member highlights and their planned paths
+   */
+  draw() {
+    this.clearGraphics();
+    if (this.members.length === 0 || !canvas.controls) return;
+
+    this.graphics = new PIXI.Graphics();
+    canvas.controls.addChild(this.graphics);
+
+    // Ring every member in its color, so the player sees who moves along
+    for (const token of this.members) {
+      this.graphics.lineStyle(3, this.getColor(token), 0.9);
+      this.graphics.drawRoundedRect(token.x - 2, token.y - 2, token.w + 4, token.h + 4, 4);
+    }
+    this.graphics.lineStyle(0);
+
+    for (const plan of this.plans) {
+      if (plan.path.length === 0) continue;
+      if (utils.isGridless()) {
+        this.drawGridlessPlan(plan);
+      } else {
+        this.drawGridPlan(plan);
+      }
+      this.drawLabel(plan);
+    }
+  }
+
+  /**
+   * Draw a member's path on a gridded scene
+   * @param {Object} plan - Planned move
+   */
+  drawGridPlan(plan) {
+    const gridSize = canvas.grid.size;
+    const footprint = utils.getTokenFootprint(plan.token);
+    const drawn = new Set();
+
+    this.graphics.beginFill(plan.color, 0.3);
+    for (const point of plan.path) {
+      for (const cell of utils.getFootprintOffsets(canvas.grid.getOffset(point), footprint)) {
+        const cellKey = `${cell.i},${cell.j}`;
+        if (drawn.has(cellKey)) continue;
+        drawn.add(cellKey);
+        const topLeft = canvas.grid.getTopLeftPoint(cell);
+        this.graphics.drawRect(topLeft.x, topLeft.y, gridSize, gridSize);
+      }
+    }
+    this.graphics.endFill();
+
+    // Outline where the member ends
+    const topLeft = canvas.grid.getTopLeftPoint(plan.anchor);
+    this.graphics.lineStyle(3, plan.color, 0.9);
+    this.graphics.drawRect(topLeft.x, topLeft.y, footprint.width * gridSize, footprint.height * gridSize);
+    this.graphics.lineStyle(0);
+  }
+
+  /**
+   * Draw a member's path on a gridless scene
+   * @param {Object} plan - Planned move
+   */
+  drawGridlessPlan(plan) {
+    const token = plan.token;
+    const end = plan.path.at(-1);
+
+    this.graphics.lineStyle(Math.min(token.w, token.h) / 2, plan.color, 0.3);
+    this.graphics.moveTo(token.center.x, token.center.y);
+    for (const point of plan.path) this.graphics.lineTo(point.x, point.y);
+
+    this.graphics.lineStyle(3, plan.color, 0.9);
+    this.graphics.drawCircle(end.x, end.y, Math.min(token.w, token.h) / 2);
+    this.graphics.lineStyle(0);
+  }
+
+  /**
+   * Label the end of a member's path with its cost, colored by the member's movement left
+   * @param {Object} plan - Planned move
+   */
+  drawLabel(plan) {
+    const budget = this.rulerPreview.getMovementBudget(plan.token);
+    const color = budget === null
+      ? 0xFFFFFF
+      : (this.rulerPreview.getRangeBands(budget).find(band => plan.distance <= band.limit)?.color ?? 0xFF0000);
+
+    const units = canvas.grid.units || 'units';
+    const label = new PIXI.Text(plan.actions
+      ? `${Math.round(plan.distance)} ${units} · ${utils.formatActions(plan.actions)}`
+      : `${Math.round(plan.distance)} ${units}`, {
+      fontSize: 18,
+      fill: color,
+      stroke: 0x000000,
+      strokeThickness: 4,
+      fontWeight: 'bold'
+    });
+
+    const end = plan.path.at(-1);
+    label.x = end.x - (label.width / 2);
+    label.y = end.y - (label.height / 2);
+    canvas.controls.addChild(label);
+    this.labels.push(label);
+  }
+
+  /**
+   * Move every member along its planned path, alongside the leader
+   * @returns {Array} - Moves made {token, origin, distance, actions}
+   */
+  async confirm() {
+    const plans = this.plans.filter(plan => plan.path.length > 0);
+    this.plans = [];
+    this.draw();
+
+    const moves = await Promise.all(plans.map(plan => this.executePlan(plan)));
+    return moves.filter(Boolean);
+  }
+
+  /**
+   * Move one member along its planned path
+   * @param {Object} plan - Planned move
+   * @returns {Object|null} - The move {token, origin, distance, actions}, or null if it failed
+   */
+  async executePlan(plan) {
+    const rulerPreview = this.rulerPreview;
+    const token = plan.token;
+    const origin = { x: token.document.x, y: token.document.y, elevation: token.document.elevation };
+
+    try {
+      const waypoints = plan.path.map(point => rulerPreview.getTokenPlacement(token, point));
+      await rulerPreview.moveAlongWaypoints(token, waypoints, rulerPreview.getMoveOptions());
+      await rulerPreview.reportMovement(token, plan.distance, plan.actions);
+      return { token, origin, distance: plan.distance, actions: plan.actions };
+    } catch (error) {
+      console.error('SharedControl: Error moving group member', token.name, error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the member highlights, paths and labels
+   */
+  clearGraphics() {
+    if (this.graphics) {
+      this.graphics.destroy();
+      this.graphics = null;
+    }
+    for (const label of this.labels) label.destroy();
+    this.labels = [];
+  }
+
+  /**
+   * Forget the planned paths, keeping the group
+   */
+  clearPlans() {
+    this.plans = [];
+    this.draw();
+  }
+
+  /**
+   * Disband the group
+   */
+  clear() {
+    this.leader = null;
+    this.members = [];
+    this.plans = [];
+    this.clearGraphics();
+  }
+
+  /**
+   * Clean up when module is disabled
+   */
+  destroy() {
+    this.clear();
+  }
+}
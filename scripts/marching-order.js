@@ -0,0 +1,390 @@
+/**
+ * SharedControl Marching Order
+ * Single-file "follow the leader" movement for exploration
+ *
+ * The GM stores a marching order on the scene: token IDs, leader first. When a move of the
+ * leader is confirmed, every follower walks the trail of the token ahead of it and stops one
+ * step behind it. The order lives in a scene flag, so every client sees the same one, and it
+ * is dropped as soon as combat starts on the scene.
+ */
+
+import * as utils from './utils.js';
+import { debugLog } from './utils.js';
+
+export class MarchingOrder {
+  constructor() {
+    this.hooks = [];
+  }
+
+  /**
+   * Initialize and register hooks
+   */
+  initialize() {
+    this.registerHooks();
+    debugLog('Marching order initialized');
+  }
+
+  /**
+   * Register Foundry hooks
+   */
+  registerHooks() {
+    const combatStartHook = Hooks.on('combatStart', (combat) => this.onCombatStart(combat));
+    this.hooks.push({ name: 'combatStart', id: combatStartHook });
+
+    // Keep the GM's marching order button in step with the scene
+    const refresh = () => game.sharedControl?.overlayControls?.updateMarchingOrderState();
+    const updateSceneHook = Hooks.on('updateScene', (scene, changes) => {
+      if (changes.flags?.['shared-control']?.marchingOrder !== undefined ||
+          changes.flags?.['shared-control']?.['-=marchingOrder'] !== undefined) {
+        refresh();
+      }
+    });
+    this.hooks.push({ name: 'updateScene', id: updateSceneHook });
+    this.hooks.push({ name: 'canvasReady', id: Hooks.on('canvasReady', refresh) });
+  }
+
+  /**
+   * Get the marching order of a scene
+   * @param {Scene} scene - The scene (defaults to the viewed scene)
+   * @returns {Array} - Token IDs, leader first
+   */
+  getOrder(scene = canvas.scene) {
+    return scene?.getFlag('shared-control', 'marchingOrder') ?? [];
+  }
+
+  /**
+   * Get the tokens that follow a token, in marching order
+   * Only the leader has followers; tokens no longer on the scene are skipped
+   * @param {Token} token - The moving token
+   * @returns {Array} - Follower tokens
+   */
+  getFollowers(token) {
+    const order = this.getOrder();
+    if (order.length < 2 || order[0] !== token?.id) return [];
+
+    return order.slice(1)
+      .map(id => canvas.tokens?.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Set the marching order of the viewed scene (GM only)
+   * @param {Array} tokens - Tokens in marching order, leader first
+   * @returns {Boolean} - True if the order was saved
+   */
+  async setOrder(tokens) {
+    if (!game.user.isGM || !canvas.scene) return false;
+
+    if (tokens.length < 2) {
+      ui.notifications.warn(game.i18n.localize('shared-control.notifications.marchingOrderTooShort'));
+      return false;
+    }
+
+    await canvas.scene.setFlag('shared-control', 'marchingOrder', tokens.map(token => token.id));
+    ui.notifications.info(game.i18n.format('shared-control.notifications.marchingOrderSet', {
+      names: tokens.map(token => token.name).join(' → ')
+    }));
+    debugLog('Marching order set', tokens.map(token => token.name));
+    return true;
+  }
+
+  /**
+   * Remove the marching order of a scene (GM only)
+   * @param {Scene} scene - The scene (defaults to the viewed scene)
+   */
+  async clear(scene = canvas.scene) {
+    if (!game.user.isGM || !scene?.getFlag('shared-control', 'marchingOrder')) return;
+
+    await scene.unsetFlag('shared-control', 'marchingOrder');
+    debugLog('Marching order cleared on', scene.name);
+  }
+
+  /**
+   * Check if combat is running on a scene
+   * @param {Scene} scene - The scene (defaults to the viewed scene)
+   * @returns {Boolean} - True if a started combat takes place there
+   */
+  isInCombat(scene = canvas.scene) {
+    return !!game.combats?.some(combat => combat.started && (!combat.scene || combat.scene.id === scene?.id));
+  }
+
+  /**
+   * Drop the formation when combat starts (handled by the active GM only)
+   * @param {Combat} combat - The combat that started
+   */
+  async onCombatStart(combat) {
+    if (!game.users.activeGM?.isSelf) return;
+
+    const scene = combat.scene ?? canvas.scene;
+    if (this.getOrder(scene).length === 0) return;
+
+    await this.clear(scene);
+    ui.notifications.info(game.i18n.localize('shared-control.notifications.marchingOrderDropped'));
+  }
+
+  /**
+   * Move the leader's followers along its trail, each one step behind the token ahead
+   * @param {Token} leader - The token that moved
+   * @param {Object} origin - Top-left position the leader started from {x, y}
+   * @param {Array} path - Path points {x, y} the leader traveled, excluding the origin
+   * @param {RulerPreview} rulerPreview - The ruler preview the moves are executed by
+   * @returns {Array} - Moves made {token, origin, distance, actions}
+   */
+  async follow(leader, origin, path, rulerPreview) {
+    const plans = await this.planFollowers(leader, origin, path, rulerPreview);
+    const moves = await Promise.all(plans.map(plan => this.executeMove(plan, rulerPreview)));
+    return moves.filter(Boolean);
+  }
+
+  /**
+   * Plan the followers' trails behind a leader's path
+   * Followers the current user may not move, that cannot move or that cannot reach the trail
+   * stay where they are, and the ones behind them line up behind them instead
+   * @param {Token} leader - The token moving
+   * @param {Object} origin - Top-left position the leader starts from {x, y}
+   * @param {Array} path - Path points {x, y} of the leader, excluding the origin
+   * @param {RulerPreview} rulerPreview - The ruler preview the paths are searched by
+   * @returns {Array} - Planned moves {token, path} of the followers that move
+   */
+  async planFollowers(leader, origin, path, rulerPreview) {
+    const followers = this.getFollowers(leader);
+    if (followers.length === 0 || path.length === 0 || this.isInCombat()) return [];
+
+    const gridless = utils.isGridless();
+    let trail = [gridless
+      ? { x: origin.x + (leader.w / 2), y: origin.y + (leader.h / 2) }
+      : utils.getGridPosition(origin.x, origin.y), ...path];
+    let ahead = leader;
+
+    // Where the leader and each planned follower end, so no two end together.
+    // Followers that won't move hold their places from the start, so no one ahead ends on them
+    const movable = new Set(followers.filter(follower => this.canFollow(follower)));
+    const ends = [{ token: leader, point: trail.at(-1) }];
+    for (const follower of followers) {
+      if (movable.has(follower)) continue;
+      ends.push({ token: follower, point: gridless ? follower.center : utils.getGridPosition(follower.x, follower.y) });
+    }
+
+    const plans = [];
+    for (const follower of followers) {
+      let followerTrail = null;
+      if (movable.has(follower)) {
+        followerTrail = gridless
+          ? await this.planGridlessTrail(follower, ahead, trail, ends, rulerPreview)
+          : await this.planGridTrail(follower, trail, ends, rulerPreview);
+      }
+
+      // A follower left behind becomes the end of the line for the ones after it
+      if (!followerTrail) {
+        debugLog('Follower stays behind:', follower.name);
+        followerTrail = [gridless ? follower.center : utils.getGridPosition(follower.x, follower.y)];
+      } else if (followerTrail.length > 1) {
+        plans.push({ token: follower, path: followerTrail.slice(1) });
+      }
+
+      if (movable.has(follower)) ends.push({ token: follower, point: followerTrail.at(-1) });
+      trail = followerTrail;
+      ahead = follower;
+    }
+    return plans;
+  }
+
+  /**
+   * Check if the current user can send a follower along
+   * @param {Token} token - The follower
+   * @returns {Boolean} - True if it may follow
+   */
+  canFollow(token) {
+    if (!utils.canMoveToken(token) || utils.isTokenDefeated(token)) return false;
+    if (utils.getImmobileReasons(token)) return false;
+
+    // Someone else is moving it (locks go stale after 5 minutes, as for selecting)
+    const lockData = token.document.getFlag('shared-control', 'lockedBy');
+    if (!lockData || lockData.userId === game.user.id) return true;
+    return Date.now() - (lockData.timestamp || 0) >= 300000;
+  }
+
+  /**
+   * Plan a follower's trail on a gridded scene
+   * The follower walks to where the token ahead started, then along that token's trail,
+   * stopping one step short of its end (or further back if that space is taken)
+   * @param {Token} follower - The follower
+   * @param {Array} trail - Trail of the token ahead, from its start to its end
+   * @param {Array} ends - Where tokens already planned end {token, point}
+   * @param {RulerPreview} rulerPreview - The ruler preview to search paths with
+   * @returns {Array|null} - The follower's trail from its start, or null if it can't reach it
+   */
+  async planGridTrail(follower, trail, ends, rulerPreview) {
+    const footprint = utils.getTokenFootprint(follower);
+    const start = utils.getGridPosition(follower.x, follower.y);
+    const occupancy = this.getOccupancy(follower, rulerPreview);
+    const options = {
+      action: rulerPreview.movementMode,
+      elevation: follower.document?.elevation ?? 0,
+      footprint,
+      occupancy,
+      hazards: game.settings.get('shared-control', 'hazardRouting'),
+      intermediate: true
+    };
+
+    const joinPath = await rulerPreview.getGridPath(start, trail[0], options);
+    if (!joinPath) return null;
+
+    // Follow the trail as far as walls allow the follower's footprint
+    const route = [start, ...joinPath];
+    for (const point of trail.slice(1)) {
+      const from = canvas.grid.getOffset(route.at(-1));
+      const to = canvas.grid.getOffset(point);
+      if (rulerPreview.isStepBlocked(from, to, footprint)) break;
+      route.push(point);
+    }
+
+    // One step behind the token ahead, stepping back while the space is taken
+    const taken = new Map(occupancy);
+    for (const end of ends) {
+      const anchor = canvas.grid.getOffset(end.point);
+      for (const cell of utils.getFootprintOffsets(anchor, utils.getTokenFootprint(end.token))) {
+        taken.set(`${cell.i},${cell.j}`, { token: end.token, blocks: false });
+      }
+    }
+
+    let last = Math.max(0, route.length - 2);
+    while (last > 0 && rulerPreview.getFootprintOccupant(canvas.grid.getOffset(route[last]), footprint, taken)) {
+      last--;
+    }
+    return route.slice(0, last + 1);
+  }
+
+  /**
+   * Plan a follower's trail on a gridless scene
+   * The follower walks to where the token ahead started, then along that token's trail,
+   * stopping where it just touches the token ahead (or further back if that spot is taken)
+   * @param {Token} follower - The follower
+   * @param {Token} ahead - The token ahead of it
+   * @param {Array} trail - Trail of the token ahead, from its start to its end
+   * @param {Array} ends - Where tokens already planned end {token, point}
+   * @param {RulerPreview} rulerPreview - The ruler preview to search paths with
+   * @returns {Array|null} - The follower's trail from its start, or null if it can't reach it
+   */
+  async planGridlessTrail(follower, ahead, trail, ends, rulerPreview) {
+    const radius = Math.min(follower.w, follower.h) / 2;
+    const joinPath = await rulerPreview.getGridlessPath(follower.center, trail[0], radius);
+    if (!joinPath) return null;
+
+    const route = [follower.center, ...joinPath, ...trail.slice(1)];
+    const circles = [
+      ...this.getOtherTokens(follower).map(other => ({ ...other.center, radius: Math.min(other.w, other.h) / 2 })),
+      ...ends.map(end => ({ ...end.point, radius: Math.min(end.token.w, end.token.h) / 2 }))
+    ];
+
+    // Back off from the end of the trail until the follower fits
+    let back = Math.min(ahead.w, ahead.h) / 2 + radius;
+    const length = this.measurePolyline(route);
+    while (back < length) {
+      const cut = this.trimPolyline(route, back);
+      const end = cut.at(-1);
+      if (!circles.some(circle => Math.hypot(circle.x - end.x, circle.y - end.y) < circle.radius + radius - 1)) {
+        return cut;
+      }
+      back += radius;
+    }
+    return [route[0]];
+  }
+
+  /**
+   * Map the cells taken by tokens outside the marching order
+   * @param {Token} follower - The follower
+   * @param {RulerPreview} rulerPreview - The ruler preview to map tokens with
+   * @returns {Map} - cellKey -> {token, blocks}
+   */
+  getOccupancy(follower, rulerPreview) {
+    const order = this.getOrder();
+    const occupancy = rulerPreview.getOccupancy(follower);
+    for (const [cellKey, entry] of occupancy) {
+      if (order.includes(entry.token.id)) occupancy.delete(cellKey);
+    }
+    return occupancy;
+  }
+
+  /**
+   * Get the tokens a gridless follower may not end on
+   * @param {Token} follower - The follower
+   * @returns {Array} - Tokens outside the marching order
+   */
+  getOtherTokens(follower) {
+    if (!game.settings.get('shared-control', 'tokenCollision')) return [];
+
+    const order = this.getOrder();
+    return (canvas.tokens?.placeables ?? []).filter(other => other.id !== follower.id &&
+      !order.includes(other.id) && !utils.isTokenDefeated(other) && (game.user.isGM || other.visible));
+  }
+
+  /**
+   * Measure the length of a polyline
+   * @param {Array} points - Points {x, y}
+   * @returns {Number} - Length in pixels
+   */
+  measurePolyline(points) {
+    let length = 0;
+    for (let n = 1; n < points.length; n++) {
+      length += Math.hypot(points[n].x - points[n - 1].x, points[n].y - points[n - 1].y);
+    }
+    return length;
+  }
+
+  /**
+   * Cut a length off the end of a polyline
+   * @param {Array} points - Points {x, y}
+   * @param {Number} cut - Length to remove from the end, in pixels
+   * @returns {Array} - The remaining points, ending where the cut was made
+   */
+  trimPolyline(points, cut) {
+    const result = [...points];
+    let remaining = cut;
+    while (result.length > 1) {
+      const end = result.at(-1);
+      const previous = result.at(-2);
+      const segment = Math.hypot(end.x - previous.x, end.y - previous.y);
+      if (segment > remaining) {
+        const t = (segment - remaining) / segment;
+        result[result.length - 1] = { x: previous.x + (end.x - previous.x) * t, y: previous.y + (end.y - previous.y) * t };
+        return result;
+      }
+      remaining -= segment;
+      result.pop();
+    }
+    return result;
+  }
+
+  /**
+   * Move a follower along its trail
+   * @param {Object} plan - Planned move {token, path}
+   * @param {RulerPreview} rulerPreview - The ruler preview the move is executed by
+   * @returns {Object|null} - The move {token, origin, distance, actions}, or null if it failed
+   */
+  async executeMove(plan, rulerPreview) {
+    const token = plan.token;
+    const origin = { x: token.document.x, y: token.document.y, elevation: token.document.elevation };
+
+    try {
+      const distance = rulerPreview.measureTraveledCost(token, origin, plan.path);
+      const waypoints = plan.path.map(point => rulerPreview.getTokenPlacement(token, point));
+      await rulerPreview.moveAlongWaypoints(token, waypoints, rulerPreview.getMoveOptions());
+      debugLog('Follower moved:', token.name, distance);
+      return { token, origin, distance, actions: 0 };
+    } catch (error) {
+      console.error('SharedControl: Error moving follower', token.name, error);
+      return null;
+    }
+  }
+
+  /**
+   * Clean up when module is disabled
+   */
+  destroy() {
+    for (const hook of this.hooks) {
+      Hooks.off(hook.name, hook.id);
+    }
+    this.hooks = [];
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * SharedControl Movement Budget
+ * Tracks how much movement each combatant has spent in the current combat turn
+ *
+ * Spending is stored in a combatant flag tagged with the round and turn it belongs to,
+ * so a stale record from an earlier turn reads as nothing spent even before the reset
+ * on combatTurn/combatRound has been written.
+ */
+
+import * as utils from './utils.js';
+import { debugLog } from './utils.js';
+
+// Actions a creature has each turn when movement is counted in actions (Pathfinder 2e)
+export const ACTIONS_PER_TURN = 3;
+
+export class MovementBudget {
+  constructor() {
+    this.hooks = [];
+  }
+
+  /**
+   * Initialize and register hooks
+   */
+  initialize() {
+    this.registerHooks();
+    debugLog('Movement budget initialized');
+  }
+
+  /**
+   * Register Foundry hooks
+   */
+  registerHooks() {
+    for (const name of ['combatTurn', 'combatRound']) {
+      const id = Hooks.on(name, (combat) => this.reset(combat));
+      this.hooks.push({ name, id });
+    }
+
+    // A new turn, or spending and dashing on another client, changes the selected token's range
+    const updateCombatHook = Hooks.on('updateCombat', (combat, changes) => {
+      if ('round' in changes || 'turn' in changes) this.refreshSelection();
+    });
+    this.hooks.push({ name: 'updateCombat', id: updateCombatHook });
+
+    const updateCombatantHook = Hooks.on('updateCombatant', (combatant, changes) => {
+      if (changes.flags?.['shared-control']) this.refreshSelection(combatant.tokenId);
+    });
+    this.hooks.push({ name: 'updateCombatant', id: updateCombatantHook });
+
+    // Conditions and effects change the speed the budget starts from
+    const updateActorHook = Hooks.on('updateActor', (actor) => this.refreshActor(actor));
+    this.hooks.push({ name: 'updateActor', id: updateActorHook });
+
+    for (const name of ['createActiveEffect', 'updateActiveEffect', 'deleteActiveEffect']) {
+      const id = Hooks.on(name, (effect) => this.refreshActor(effect.parent?.actor ?? effect.parent));
+      this.hooks.push({ name, id });
+    }
+  }
+
+  /**
+   * Get the combatant a token acts as in the active, started combat
+   * @param {Token} token - The token
+   * @returns {Combatant|null} - The combatant, or null if the token is not in combat
+   */
+  getCombatant(token) {
+    const combat = game.combat;
+    if (!combat?.started || !token?.document) return null;
+    return combat.getCombatantsByToken?.(token.document)?.[0] ?? null;
+  }
+
+  /**
+   * Get a combatant's movement record for the current turn
+   * @param {Combatant} combatant - The combatant
+   * @returns {Object} - {spent, actions, dash}, all zero if nothing was recorded this turn
+   */
+  getTurnRecord(combatant) {
+    const combat = combatant.combat ?? game.combat;
+    const record = combatant.getFlag('shared-control', 'movementBudget');
+    if (!record || record.round !== combat.round || record.turn !== combat.turn) {
+      return { spent: 0, actions: 0, dash: false };
+    }
+    return { spent: record.spent ?? 0, actions: record.actions ?? 0, dash: !!record.dash };
+  }
+
+  /**
+   * Get the movement a token has left
+   * Outside combat a token always has its full speed
+   * @param {Token} token - The token
+   * @param {String} mode - Movement mode (walk, fly, swim, burrow, climb)
+   * @returns {Object|null} - {speed, remaining, dashRange, dashing, actionsLeft} in scene distance units,
+   *                          where dashRange is how far the token can go if it also dashes and actionsLeft
+   *                          counts the actions still unused this turn, or null if unlimited
+   */
+  getBudget(token, mode = 'walk') {
+    const speed = utils.getAvailableMovement(token, mode);
+    if (speed === null || speed === undefined) return null;
+
+    // Conditions such as slowed take actions away
+    const actionsPerTurn = Math.max(0, ACTIONS_PER_TURN + utils.getActionModifier(token, mode));
+
+    const combatant = this.getCombatant(token);
+    if (!combatant) {
+      return { speed, remaining: speed, dashRange: speed * 2, dashing: false, actionsLeft: actionsPerTurn };
+    }
+
+    const { spent, actions, dash } = this.getTurnRecord(combatant);
+    const remaining = Math.max(0, (dash ? speed * 2 : speed) - spent);
+    return {
+      speed,
+      remaining,
+      dashRange: dash ? remaining : remaining + speed,
+      dashing: dash,
+      actionsLeft: Math.max(0, actionsPerTurn - actions)
+    };
+  }
+
+  /**
+   * Check if the current user may change a token's budget (spend or dash)
+   * @param {Token} token - The token
+   * @returns {Boolean} - True if allowed
+   */
+  canEdit(token) {
+    const combatant = this.getCombatant(token);
+    return !!combatant && (game.user.isGM || combatant.isOwner);
+  }
+
+  /**
+   * Add movement spent by a token this turn
+   * @param {Token} token - The token that moved
+   * @param {Number} distance - Distance moved in scene units (negative to refund)
+   * @param {Number} actions - Actions the move took, when movement is counted in actions (negative to refund)
+   */
+  async spend(token, distance, actions = 0) {
+    const combatant = this.getCombatant(token);
+    if (!combatant || (!distance && !actions) || !this.canEdit(token)) return;
+
+    const record = this.getTurnRecord(combatant);
+    await this.setTurnRecord(combatant, {
+      spent: Math.max(0, record.spent + distance),
+      actions: Math.max(0, record.actions + actions),
+      dash: record.dash
+    });
+    debugLog('Movement spent by', token.name, ':', Math.max(0, record.spent + distance));
+  }
+
+  /**
+   * Check if a token is dashing this turn
+   * @param {Token} token - The token
+   * @returns {Boolean} - True if dashing
+   */
+  isDashing(token) {
+    const combatant = this.getCombatant(token);
+    return !!combatant && this.getTurnRecord(combatant).dash;
+  }
+
+  /**
+   * Toggle the dash action, doubling the token's movement for this turn
+   * @param {Token} token - The token
+   * @returns {Boolean} - True if the token is now dashing
+   */
+  async toggleDash(token) {
+    const combatant = this.getCombatant(token);
+    if (!combatant || !this.canEdit(token)) return false;
+
+    const record = this.getTurnRecord(combatant);
+    await this.setTurnRecord(combatant, { ...record, dash: !record.dash });
+    debugLog('Dash for', token.name, !record.dash ? 'on' : 'off');
+    return !record.dash;
+  }
+
+  /**
+   * Write a combatant's record for the current turn
+   * @param {Combatant} combatant - The combatant
+   * @param {Object} record - {spent, actions, dash}
+   */
+  async setTurnRecord(combatant, { spent, actions, dash }) {
+    const combat = combatant.combat ?? game.combat;
+    try {
+      await combatant.setFlag('shared-control', 'movementBudget', {
+        round: combat.round,
+        turn: combat.turn,
+        spent,
+        actions,
+        dash
+      });
+    } catch (error) {
+      console.warn('SharedControl: Error saving movement budget', error);
+    }
+  }
+
+  /**
+   * Clear every combatant's spending when the turn or round changes
+   * Only the active GM writes, so the reset happens once
+   * @param {Combat} combat - The combat
+   */
+  async reset(combat) {
+    if (!game.users.activeGM?.isSelf) return;
+
+    const updates = combat.combatants
+      .filter(combatant => combatant.getFlag('shared-control', 'movementBudget'))
+      .map(combatant => ({ _id: combatant.id, 'flags.shared-control.-=movementBudget': null }));
+    if (updates.length === 0) return;
+
+    try {
+      await combat.updateEmbeddedDocuments('Combatant', updates);
+      debugLog('Movement budgets reset for', updates.length, 'combatants');
+    } catch (error) {
+      console.warn('SharedControl: Error resetting movement budgets', error);
+    }
+  }
+
+  /**
+   * Redraw the range of the selected token if its budget changed
+   * @param {String|null} tokenId - ID of the combatant's token, or null for any selected token
+   */
+  refreshSelection(tokenId = null) {
+    const rulerPreview = game.sharedControl?.rulerPreview;
+    const token = rulerPreview?._highlightedToken;
+    if (!token || (tokenId && token.id !== tokenId)) return;
+
+    rulerPreview.showReachableArea(token);
+    rulerPreview.updateSpeedBadge(token);
+    rulerPreview.movementHud?.update();
+  }
+
+  /**
+   * Redraw the range of the selected token if it belongs to an actor whose speed may have changed
+   * @param {Actor} actor - The changed actor
+   */
+  refreshActor(actor) {
+    const token = game.sharedControl?.rulerPreview?._highlightedToken;
+    if (token && actor && token.actor === actor) this.refreshSelection(token.id);
+  }
+
+  /**
+   * Clean up when module is disabled
+   */
+  destroy() {
+    for (const hook of this.hooks) {
+      Hooks.off(hook.name, hook.id);
+    }
+    this.hooks = [];
+  }
+}
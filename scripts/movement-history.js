@@ -0,0 +1,189 @@
+/**
+ * SharedControl Movement History
+ * Per-token record of confirmed moves, so a mistaken move can be undone
+ *
+ * The history lives in a token flag, so every client (and the GM) sees the same record.
+ * Owners may undo their token's latest move until it moves again or their combat turn
+ * ends; the GM may step back through any token's moves.
+ */
+
+import { debugLog } from './utils.js';
+
+// Moves kept per token
+const MAX_HISTORY = 10;
+
+export class MovementHistory {
+  constructor() {
+    this.hooks = [];
+  }
+
+  /**
+   * Initialize and register hooks
+   */
+  initialize() {
+    this.registerHooks();
+    debugLog('Movement history initialized');
+  }
+
+  /**
+   * Register Foundry hooks
+   * Anything that can change what may be undone refreshes the undo button
+   */
+  registerHooks() {
+    const refresh = () => game.sharedControl?.overlayControls?.updateUndoState();
+
+    const updateTokenHook = Hooks.on('updateToken', (tokenDoc, changes) => {
+      if ('x' in changes || 'y' in changes || changes.flags?.['shared-control']?.movementHistory !== undefined) {
+        refresh();
+      }
+    });
+    this.hooks.push({ name: 'updateToken', id: updateTokenHook });
+
+    for (const name of ['controlToken', 'deleteToken', 'updateCombat', 'deleteCombat', 'canvasReady']) {
+      this.hooks.push({ name, id: Hooks.on(name, refresh) });
+    }
+  }
+
+  /**
+   * Record a confirmed move
+   * @param {Token} token - The token that moved
+   * @param {Object} origin - Position before the move {x, y, elevation} (top-left)
+   * @param {Number} distance - Movement the move cost, in scene units
+   * @param {Number} actions - Actions the move took, when movement is counted in actions
+   */
+  async record(token, origin, distance = 0, actions = 0) {
+    const tokenDoc = token.document;
+    if (tokenDoc.x === origin.x && tokenDoc.y === origin.y) return;
+
+    const entry = {
+      from: { x: origin.x, y: origin.y, elevation: origin.elevation ?? 0 },
+      to: { x: tokenDoc.x, y: tokenDoc.y },
+      distance,
+      actions,
+      userId: game.user.id,
+      turn: this.getTurnKey(token),
+      time: Date.now()
+    };
+
+    try {
+      // Earlier moves are now followed by this one, so only the GM may still undo them
+      const earlier = this.getHistory(token).map(move => ({ ...move, superseded: true }));
+      const history = [...earlier, entry].slice(-MAX_HISTORY);
+      await tokenDoc.setFlag('shared-control', 'movementHistory', history);
+      debugLog('Recorded move of', token.name, 'from', entry.from, 'to', entry.to);
+    } catch (error) {
+      console.warn('SharedControl: Error recording movement history', error);
+    }
+  }
+
+  /**
+   * Get a token's recorded moves, oldest first
+   * @param {Token} token - The token
+   * @returns {Array} - Array of moves {from, to, distance, actions, userId, turn, time, superseded}
+   */
+  getHistory(token) {
+    return token?.document?.getFlag('shared-control', 'movementHistory') ?? [];
+  }
+
+  /**
+   * Identify the combat turn a token is moving in
+   * @param {Token} token - The token
+   * @returns {String|null} - Combat, round and turn key, or null if the token is not in a started combat
+   */
+  getTurnKey(token) {
+    const combat = game.combat;
+    if (!combat?.started || !combat.getCombatantsByToken?.(token.document)?.length) return null;
+    return `${combat.id}.${combat.round}.${combat.turn}`;
+  }
+
+  /**
+   * Get the move the current user may undo for a token
+   * The token must still stand where that move ended; owners may only undo a move no
+   * other move followed, within the same combat turn, while the GM may undo any token's moves
+   * @param {Token} token - The token
+   * @returns {Object|null} - The move {from, to, distance, actions, userId, turn, time}, or null if none can be undone
+   */
+  getUndoableMove(token) {
+    const entry = this.getHistory(token).at(-1);
+    if (!entry) return null;
+
+    const tokenDoc = token.document;
+    if (tokenDoc.x !== entry.to.x || tokenDoc.y !== entry.to.y) return null;
+    if (game.user.isGM) return entry;
+
+    if (!tokenDoc.isOwner || entry.superseded) return null;
+    if (entry.turn !== this.getTurnKey(token)) return null;
+    return entry;
+  }
+
+  /**
+   * Find the token whose move an undo applies to
+   * A controlled token with an undoable move wins; otherwise the most recent undoable move on the scene
+   * @returns {Token|null} - The token, or null if nothing can be undone
+   */
+  getUndoTarget() {
+    const controlled = canvas.tokens?.controlled ?? [];
+    const candidates = controlled.length === 1 ? controlled : (canvas.tokens?.placeables ?? []);
+
+    let target = null;
+    let latest = -Infinity;
+    for (const token of candidates) {
+      const entry = this.getUndoableMove(token);
+      if (entry && entry.time > latest) {
+        target = token;
+        latest = entry.time;
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Return a token to where its last move started
+   * @param {Token} token - The token
+   * @returns {Boolean} - True if the move was undone
+   */
+  async undo(token) {
+    const entry = this.getUndoableMove(token);
+    if (!entry) return false;
+
+    try {
+      // Displacement puts the token straight back instead of walking the path in reverse
+      const moved = await token.document.move([{
+        x: entry.from.x,
+        y: entry.from.y,
+        elevation: entry.from.elevation,
+        action: 'displace'
+      }]);
+      if (moved === false) return false;
+
+      await token.document.setFlag('shared-control', 'movementHistory', this.getHistory(token).slice(0, -1));
+
+      // A move undone in the turn it was made gives its movement back
+      if (entry.turn && entry.turn === this.getTurnKey(token)) {
+        await game.sharedControl?.movementBudget?.spend(token, -(entry.distance ?? 0), -(entry.actions ?? 0));
+      }
+
+      ChatMessage.create({
+        content: game.i18n.format('shared-control.chat.moveUndone', { name: `<strong>${token.name}</strong>` }),
+        speaker: ChatMessage.getSpeaker({ token: token.document }),
+        style: CONST.CHAT_MESSAGE_STYLES.EMOTE
+      });
+
+      debugLog('Undid move of', token.name, 'back to', entry.from);
+      return true;
+    } catch (error) {
+      console.error('SharedControl: Error undoing movement', error);
+      return false;
+    }
+  }
+
+  /**
+   * Clean up when module is disabled
+   */
+  destroy() {
+    for (const hook of this.hooks) {
+      Hooks.off(hook.name, hook.id);
+    }
+    this.hooks = [];
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * SharedControl Movement HUD
+ * On-screen controls shown while a token is selected for tap-to-move
+ */
+
+import * as utils from './utils.js';
+import { debugLog } from './utils.js';
+
+// Fallback icons for movement modes when the core movement action config has none
+const MODE_ICONS = {
+  walk: 'fa-solid fa-person-walking',
+  fly: 'fa-solid fa-feather',
+  swim: 'fa-solid fa-person-swimming',
+  burrow: 'fa-solid fa-person-digging',
+  climb: 'fa-solid fa-mountain'
+};
+
+export class MovementHud {
+  /**
+   * @param {RulerPreview} rulerPreview - The ruler preview the controls act on
+   */
+  constructor(rulerPreview) {
+    this.rulerPreview = rulerPreview;
+    this.container = null;
+    this.provocationList = null;
+    this.approvalStatus = null;
+    this.token = null;
+  }
+
+  /**
+   * Show the HUD for a selected token
+   * @param {Token} token - The selected token
+   */
+  show(token) {
+    this.hide();
+    this.token = token;
+
+    const modes = utils.getAvailableMovementModes(token);
+    const buttonSize = game.settings.get('shared-control', 'overlayButtonSize');
+
+    this.container = document.createElement('div');
+    this.container.id = 'shared-control-movement-hud';
+    this.container.className = 'shared-control-movement-hud shared-control-confirm';
+    this.container.style.setProperty('--button-size', `${buttonSize}px`);
+
+    // Movement modes (only worth showing when there is a choice)
+    if (modes.length > 1) {
+      const modeRow = document.createElement('div');
+      modeRow.className = 'shared-control-panel-row';
+
+      for (const mode of modes) {
+        modeRow.appendChild(this.createButton(`mode-${mode}`, this.getModeLabel(mode), this.getModeIcon(mode)));
+      }
+
+      this.container.appendChild(modeRow);
+    }
+
+    // Waypoint controls
+    const waypointRow = document.createElement('div');
+    waypointRow.className = 'shared-control-panel-row';
+    waypointRow.appendChild(this.createButton('toggle-waypoints',
+      game.i18n.localize('shared-control.ui.waypointMode'), 'fa-solid fa-route'));
+    waypointRow.appendChild(this.createButton('add-waypoint',
+      game.i18n.localize('shared-control.ui.addWaypoint'), 'fa-solid fa-plus'));
+    waypointRow.appendChild(this.createButton('remove-waypoint',
+      game.i18n.localize('shared-control.ui.removeWaypoint'), 'fa-solid fa-delete-left'));
+    this.container.appendChild(waypointRow);
+
+    // Group movement (other tokens tapped while it is on move along)
+    const groupRow = document.createElement('div');
+    groupRow.className = 'shared-control-panel-row';
+    groupRow.appendChild(this.createButton('toggle-group',
+      game.i18n.localize('shared-control.ui.groupMode'), 'fa-solid fa-people-group'));
+    this.container.appendChild(groupRow);
+
+    // Dash (only for combatants whose movement this user manages; actions have no dash)
+    if (game.sharedControl?.movementBudget?.canEdit(token) && !utils.usesActionMovement()) {
+      const combatRow = document.createElement('div');
+      combatRow.className = 'shared-control-panel-row';
+      combatRow.appendChild(this.createButton('toggle-dash',
+        game.i18n.localize('shared-control.ui.dash'), 'fa-solid fa-person-running'));
+      this.container.appendChild(combatRow);
+    }
+
+    // Creatures the previewed path provokes (filled in by update)
+    this.provocationList = document.createElement('div');
+    this.provocationList.className = 'shared-control-provocations';
+    this.provocationList.hidden = true;
+    this.container.appendChild(this.provocationList);
+
+    // Shown while the GM decides on the confirmed path
+    this.approvalStatus = document.createElement('div');
+    this.approvalStatus.className = 'shared-control-approval-status';
+    this.approvalStatus.textContent = game.i18n.localize('shared-control.ui.awaitingApproval');
+    this.approvalStatus.hidden = true;
+    this.container.appendChild(this.approvalStatus);
+
+    this.attachEventListeners();
+    document.body.appendChild(this.container);
+
+    this.update();
+    debugLog('Movement HUD shown for', token.name, 'with modes', modes);
+  }
+
+  /**
+   * Create a HUD button
+   * @param {String} action - Button action
+   * @param {String} title - Tooltip
+   * @param {String} icon - Font Awesome classes
+   * @returns {HTMLButtonElement} - The button
+   */
+  createButton(action, title, icon) {
+    const button = document.createElement('button');
+    button.className = 'shared-control-btn';
+    button.dataset.action = action;
+    button.title = title;
+    button.innerHTML = `<i class="${icon}"></i>`;
+    return button;
+  }
+
+  /**
+   * Attach event listeners to buttons
+   */
+  attachEventListeners() {
+    for (const button of this.container.querySelectorAll('.shared-control-btn')) {
+      const action = button.dataset.action;
+
+      // Handle on pointer down so the tap never reaches the canvas
+      button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.handleAction(action);
+      });
+
+      // Prevent context menu on long press
+      button.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+      });
+    }
+  }
+
+  /**
+   * Handle button actions
+   * @param {String} action - The action to perform
+   */
+  async handleAction(action) {
+    const stateMachine = game.sharedControl?.stateMachine;
+
+    if (action.startsWith('mode-')) {
+      this.rulerPreview.setMovementMode(action.slice(5));
+      this.update();
+      this.refreshPreview();
+      return;
+    }
+
+    if (action === 'toggle-dash') {
+      // The budget hook redraws the reachable area once the flag is saved
+      await game.sharedControl?.movementBudget?.toggleDash(this.token);
+      this.update();
+      this.refreshPreview();
+      return;
+    }
+
+    if (!stateMachine) return;
+
+    switch (action) {
+      case 'toggle-waypoints':
+        stateMachine.toggleWaypointMode();
+        break;
+      case 'add-waypoint':
+        stateMachine.pinWaypoint();
+        break;
+      case 'remove-waypoint':
+        await stateMachine.removeWaypoint(this.rulerPreview);
+        break;
+      case 'toggle-group':
+        await stateMachine.toggleGroupMode(this.rulerPreview);
+        break;
+    }
+    this.update();
+  }
+
+  /**
+   * Re-plan the current preview after a control changed how paths are found
+   */
+  refreshPreview() {
+    const stateMachine = game.sharedControl?.stateMachine;
+    if (!stateMachine?.isInPreviewMode() || !stateMachine.previewDestination) return;
+
+    stateMachine.previewMovement(stateMachine.previewDestination, this.rulerPreview);
+  }
+
+  /**
+   * Refresh button states from the ruler preview
+   */
+  update() {
+    if (!this.container) return;
+
+    for (const button of this.container.querySelectorAll('[data-action^="mode-"]')) {
+      const active = button.dataset.action === `mode-${this.rulerPreview.movementMode}`;
+      button.classList.toggle('active', active);
+    }
+
+    const stateMachine = game.sharedControl?.stateMachine;
+    const hasDestination = !!stateMachine?.isInPreviewMode() && !!stateMachine.previewDestination;
+    this.setButtonState('toggle-waypoints', { active: !!stateMachine?.waypointMode });
+    this.setButtonState('add-waypoint', { active: !!stateMachine?.pinDestination, disabled: !hasDestination });
+    this.setButtonState('remove-waypoint', { disabled: !hasDestination });
+    this.setButtonState('toggle-group', { active: !!stateMachine?.groupMode });
+    this.setButtonState('toggle-dash', { active: !!game.sharedControl?.movementBudget?.isDashing(this.token) });
+
+    // Each creature is listed once, however often the path leaves its reach
+    const names = [...new Set(this.rulerPreview.provocations.map(provocation => provocation.token.name))];
+    this.provocationList.hidden = names.length === 0;
+    this.provocationList.textContent = names.length
+      ? game.i18n.format('shared-control.ui.provokes', { names: names.join(', ') })
+      : '';
+
+    this.approvalStatus.hidden = stateMachine?.getState() !== 'AWAITING_APPROVAL';
+  }
+
+  /**
+   * Set the active and disabled state of a button
+   * @param {String} action - Button action
+   * @param {Object} state - {active, disabled}
+   */
+  setButtonState(action, { active = false, disabled = false } = {}) {
+    const button = this.container?.querySelector(`[data-action="${action}"]`);
+    if (!button) return;
+    button.classList.toggle('active', active);
+    button.disabled = disabled;
+  }
+
+  /**
+   * Get the display label of a movement mode
+   * @param {String} mode - Movement mode
+   * @returns {String} - Localized label
+   */
+  getModeLabel(mode) {
+    const label = CONFIG.Token?.movement?.actions?.[mode]?.label;
+    return game.i18n.localize(label ?? `shared-control.movementModes.${mode}`);
+  }
+
+  /**
+   * Get the icon class of a movement mode
+   * @param {String} mode - Movement mode
+   * @returns {String} - Font Awesome classes
+   */
+  getModeIcon(mode) {
+    return CONFIG.Token?.movement?.actions?.[mode]?.icon ?? MODE_ICONS[mode] ?? 'fa-solid fa-shoe-prints';
+  }
+
+  /**
+   * Hide the HUD
+   */
+  hide() {
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+      this.provocationList = null;
+      this.approvalStatus = null;
+    }
+    this.token = null;
+  }
+
+  /**
+   * Clean up when module is disabled
+   */
+  destroy() {
+    this.hide();
+  }
+}
@@ -0,0 +1,496 @@
+/**
+ * SharedControl Navigation Graph
+ * Per-scene cache of which edges between adjacent grid cells are blocked by walls
+ * (or, on gridless scenes, of the wall segments that block movement)
+ */
+
+import * as utils from './utils.js';
+import { debugLog } from './utils.js';
+import { getEdgeKey } from './grid-search.js';
+
+// Wall fields that change whether or where a wall blocks movement
+const WALL_MOVEMENT_FIELDS = ['c', 'move', 'ds', 'door', 'dir', 'threshold'];
+
+// Region hooks that invalidate cached terrain costs
+const REGION_HOOKS = [
+  'createRegion', 'updateRegion', 'deleteRegion',
+  'createRegionBehavior', 'updateRegionBehavior', 'deleteRegionBehavior'
+];
+
+// Core region behaviors that act on tokens moving through a region, by hazard kind
+// (behavior types mentioning damage, e.g. from game systems, count as damage)
+const HAZARD_BEHAVIORS = {
+  teleportToken: 'teleport',
+  executeMacro: 'trigger',
+  executeScript: 'trigger',
+  pauseGame: 'trigger',
+  applyActiveEffect: 'trigger'
+};
+
+// Region behavior registered by this module (see region-behaviors.js)
+export const DIFFICULT_TERRAIN_BEHAVIOR = 'shared-control.difficultTerrain';
+
+export class NavigationGraph {
+  constructor() {
+    this.sceneId = null;
+    this.blockedEdges = new Map(); // edgeKey -> Set of wall IDs blocking that edge
+    this.wallEdges = new Map(); // wallId -> Set of edgeKeys the wall blocks
+    this.cellCosts = new Map(); // action|elevation|cellKey -> terrain cost multiplier
+    this.minimumCostMultipliers = new Map(); // action -> lowest multiplier of any region, for the A* heuristic
+    this.cellHazards = new Map(); // elevation|cellKey -> hazard kind (or null) of the regions at the cell
+    this.gridless = false; // True when built for a gridless scene
+    this.wallSegments = new Map(); // wallId -> WallDocument blocking movement (gridless scenes)
+    this.version = 0; // Incremented whenever the blocking walls change
+    this.costVersion = 0; // Incremented whenever cached terrain costs are dropped
+    this.hooks = [];
+  }
+
+  /**
+   * Initialize the graph and register wall hooks
+   */
+  initialize() {
+    this.registerHooks();
+
+    // Build immediately if the canvas is already ready
+    if (canvas?.ready) {
+      this.build();
+    }
+
+    debugLog('Navigation graph initialized');
+  }
+
+  /**
+   * Register Foundry hooks
+   */
+  registerHooks() {
+    // Rebuild for each scene
+    const canvasReadyHook = Hooks.on('canvasReady', () => {
+      this.build();
+    });
+    this.hooks.push({ name: 'canvasReady', id: canvasReadyHook });
+
+    const createWallHook = Hooks.on('createWall', (wallDoc) => {
+      if (!this.isForScene(wallDoc)) return;
+      this.addWall(wallDoc);
+    });
+    this.hooks.push({ name: 'createWall', id: createWallHook });
+
+    // Only walls whose geometry, restriction or door state changed need updating
+    const updateWallHook = Hooks.on('updateWall', (wallDoc, changes) => {
+      if (!this.isForScene(wallDoc)) return;
+      if (!WALL_MOVEMENT_FIELDS.some(field => field in changes)) return;
+      this.removeWall(wallDoc.id);
+      this.addWall(wallDoc);
+    });
+    this.hooks.push({ name: 'updateWall', id: updateWallHook });
+
+    const deleteWallHook = Hooks.on('deleteWall', (wallDoc) => {
+      if (!this.isForScene(wallDoc)) return;
+      this.removeWall(wallDoc.id);
+    });
+    this.hooks.push({ name: 'deleteWall', id: deleteWallHook });
+
+    // Terrain costs are computed lazily per cell, so any region change just drops the cache
+    for (const hookName of REGION_HOOKS) {
+      const id = Hooks.on(hookName, (doc) => {
+        const sceneId = doc.parent?.documentName === 'Scene' ? doc.parent.id : doc.parent?.parent?.id;
+        if (sceneId !== this.sceneId) return;
+        this.clearCellCosts();
+      });
+      this.hooks.push({ name: hookName, id });
+    }
+  }
+
+  /**
+   * Check if a wall document belongs to the scene this graph was built for
+   * @param {WallDocument} wallDoc - The wall document
+   * @returns {Boolean} - True if the wall is on the graph's scene
+   */
+  isForScene(wallDoc) {
+    return this.isReady() && wallDoc.parent?.id === this.sceneId;
+  }
+
+  /**
+   * Check if the graph has been built for the currently viewed scene
+   * @returns {Boolean} - True if the graph can be queried
+   */
+  isReady() {
+    return this.sceneId !== null && this.sceneId === canvas?.scene?.id;
+  }
+
+  /**
+   * Build the graph from every wall on the current scene
+   */
+  build() {
+    this.clear();
+
+    if (!canvas?.scene || !canvas.grid) {
+      debugLog('Navigation graph skipped - no scene');
+      return;
+    }
+
+    const start = performance.now();
+    this.sceneId = canvas.scene.id;
+    this.gridless = canvas.grid.type === CONST.GRID_TYPES.GRIDLESS;
+
+    for (const wallDoc of canvas.scene.walls) {
+      this.addWall(wallDoc);
+    }
+
+    const elapsed = Math.round(performance.now() - start);
+    if (this.gridless) {
+      debugLog('Navigation graph built (gridless):', this.wallSegments.size, 'blocking walls in', elapsed, 'ms');
+    } else {
+      debugLog('Navigation graph built:', this.blockedEdges.size, 'blocked edges in', elapsed, 'ms');
+    }
+  }
+
+  /**
+   * Record the edges blocked by a single wall
+   * Only cells around the wall's bounding box are tested
+   * @param {WallDocument} wallDoc - The wall document
+   */
+  addWall(wallDoc) {
+    if (!utils.wallBlocksMovement(wallDoc)) return;
+    this.version++;
+
+    // Gridless scenes path over the wall segments themselves
+    if (this.gridless) {
+      this.wallSegments.set(wallDoc.id, wallDoc);
+      return;
+    }
+
+    const c = wallDoc.c;
+    const edges = new Set();
+
+    for (const offset of this.getCellsNearSegment(c)) {
+      const center = utils.getGridCellCenter(offset);
+
+      for (const neighbor of utils.getGridNeighbors(offset)) {
+        const edgeKey = this.getEdgeKey(offset, neighbor);
+        if (edges.has(edgeKey)) continue;
+
+        const neighborCenter = utils.getGridCellCenter(neighbor);
+        if (utils.lineSegmentsIntersect(
+          center.x, center.y, neighborCenter.x, neighborCenter.y,
+          c[0], c[1], c[2], c[3]
+        )) {
+          edges.add(edgeKey);
+        }
+      }
+    }
+
+    for (const edgeKey of edges) {
+      if (!this.blockedEdges.has(edgeKey)) {
+        this.blockedEdges.set(edgeKey, new Set());
+      }
+      this.blockedEdges.get(edgeKey).add(wallDoc.id);
+    }
+
+    this.wallEdges.set(wallDoc.id, edges);
+  }
+
+  /**
+   * Forget the edges blocked by a single wall
+   * @param {String} wallId - The wall document ID
+   */
+  removeWall(wallId) {
+    if (this.wallSegments.delete(wallId)) {
+      this.version++;
+      return;
+    }
+
+    const edges = this.wallEdges.get(wallId);
+    if (!edges) return;
+
+    for (const edgeKey of edges) {
+      const blockers = this.blockedEdges.get(edgeKey);
+      if (!blockers) continue;
+
+      blockers.delete(wallId);
+      if (blockers.size === 0) {
+        this.blockedEdges.delete(edgeKey);
+      }
+    }
+
+    this.wallEdges.delete(wallId);
+    this.version++;
+  }
+
+  /**
+   * Get every grid cell whose edges a wall segment could cross
+   * @param {Array} c - Wall coordinates [x1, y1, x2, y2]
+   * @returns {Array} - Array of grid offsets {i, j}
+   */
+  getCellsNearSegment(c) {
+    const a = canvas.grid.getOffset({ x: Math.min(c[0], c[2]), y: Math.min(c[1], c[3]) });
+    const b = canvas.grid.getOffset({ x: Math.max(c[0], c[2]), y: Math.max(c[1], c[3]) });
+
+    // Pad by one cell so edges from cells just outside the box are included
+    const minI = Math.min(a.i, b.i) - 1;
+    const maxI = Math.max(a.i, b.i) + 1;
+    const minJ = Math.min(a.j, b.j) - 1;
+    const maxJ = Math.max(a.j, b.j) + 1;
+
+    const cells = [];
+    for (let i = minI; i <= maxI; i++) {
+      for (let j = minJ; j <= maxJ; j++) {
+        cells.push({ i, j });
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Get an order-independent key for the edge between two cells
+   * @param {Object} a - Grid offset {i, j}
+   * @param {Object} b - Grid offset {i, j}
+   * @returns {String} - Edge key
+   */
+  getEdgeKey(a, b) {
+    return getEdgeKey(a, b);
+  }
+
+  /**
+   * Check if the edge between two adjacent cells is blocked by a wall
+   * @param {Object} from - Grid offset {i, j}
+   * @param {Object} to - Grid offset {i, j}
+   * @returns {Boolean} - True if blocked
+   */
+  isEdgeBlocked(from, to) {
+    return this.blockedEdges.has(this.getEdgeKey(from, to));
+  }
+
+  /**
+   * Get the walls blocking the edge between two adjacent cells
+   * @param {Object} from - Grid offset {i, j}
+   * @param {Object} to - Grid offset {i, j}
+   * @returns {Array} - Array of WallDocuments (empty if the edge is open)
+   */
+  getEdgeBlockers(from, to) {
+    const blockers = this.blockedEdges.get(this.getEdgeKey(from, to));
+    if (!blockers) return [];
+
+    const walls = [];
+    for (const wallId of blockers) {
+      const wallDoc = canvas.scene.walls.get(wallId);
+      if (wallDoc) walls.push(wallDoc);
+    }
+    return walls;
+  }
+
+  /**
+   * Get the walls blocking movement on a gridless scene
+   * @returns {Array} - Array of WallDocuments
+   */
+  getWallSegments() {
+    return Array.from(this.wallSegments.values());
+  }
+
+  /**
+   * Get the terrain cost multiplier for entering a grid cell
+   * Reads modifyMovementCost and SharedControl difficult terrain behaviors from
+   * every region containing the cell center; the highest multiplier applies
+   * @param {Object} offset - Grid offset {i, j}
+   * @param {Object} options - Options
+   * @param {String} options.action - Movement action (default 'walk')
+   * @param {Number} options.elevation - Elevation of the moving token
+   * @returns {Number} - Cost multiplier (1 = normal, Infinity = impassable)
+   */
+  getCellCost(offset, { action = 'walk', elevation = 0 } = {}) {
+    const key = `${action}|${elevation}|${offset.i},${offset.j}`;
+    const cached = this.cellCosts.get(key);
+    if (cached !== undefined) return cached;
+
+    let multiplier = null;
+    const regions = canvas.scene?.regions ?? [];
+
+    if (regions.size ?? regions.length) {
+      const center = utils.getGridCellCenter(offset);
+
+      for (const region of regions) {
+        const regionMultiplier = this.getRegionCostMultiplier(region, action);
+        if (regionMultiplier === null) continue;
+        if (!utils.regionContainsPoint(region, center, elevation)) continue;
+
+        multiplier = Math.max(multiplier ?? regionMultiplier, regionMultiplier);
+      }
+    }
+
+    const cost = multiplier ?? 1;
+    this.cellCosts.set(key, cost);
+    return cost;
+  }
+
+  /**
+   * Get the movement cost multiplier a region applies to a movement action
+   * @param {RegionDocument} region - The region document
+   * @param {String} action - Movement action
+   * @returns {Number|null} - Multiplier, or null if the region does not affect cost
+   */
+  getRegionCostMultiplier(region, action = 'walk') {
+    let multiplier = null;
+
+    for (const behavior of region.behaviors ?? []) {
+      if (behavior.disabled) continue;
+
+      let value = null;
+      if (behavior.type === 'modifyMovementCost') {
+        // Core v13 behavior: per-action difficulty multipliers
+        value = behavior.system?.difficulties?.[action] ?? null;
+      } else if (behavior.type === DIFFICULT_TERRAIN_BEHAVIOR) {
+        // Only the movement modes the behavior is configured for
+        const actions = behavior.system?.actions;
+        if (actions && !actions.has(action)) continue;
+        value = behavior.system?.multiplier ?? null;
+      }
+
+      if (typeof value !== 'number' || Number.isNaN(value)) continue;
+      multiplier = Math.max(multiplier ?? value, value);
+    }
+
+    return multiplier;
+  }
+
+  /**
+   * Get the lowest terrain multiplier any region on the scene applies
+   * Keeps the A* heuristic admissible when regions make movement cheaper
+   * @param {String} action - Movement action
+   * @returns {Number} - Multiplier no greater than 1
+   */
+  getMinimumCostMultiplier(action = 'walk') {
+    const cached = this.minimumCostMultipliers.get(action);
+    if (cached !== undefined) return cached;
+
+    let minimum = 1;
+    for (const region of canvas.scene?.regions ?? []) {
+      const multiplier = this.getRegionCostMultiplier(region, action);
+      if (multiplier !== null) minimum = Math.min(minimum, multiplier);
+    }
+
+    this.minimumCostMultipliers.set(action, minimum);
+    return minimum;
+  }
+
+  /**
+   * Get the hazard a token would meet entering a grid cell
+   * Only regions the current user can see are considered, so routes never give away hidden traps
+   * @param {Object} offset - Grid offset {i, j}
+   * @param {Object} options - Options
+   * @param {Number} options.elevation - Elevation of the moving token
+   * @returns {String|null} - Hazard kind ('damage', 'teleport' or 'trigger'), or null if the cell is safe
+   */
+  getCellHazard(offset, { elevation = 0 } = {}) {
+    const key = `${elevation}|${offset.i},${offset.j}`;
+    const cached = this.cellHazards.get(key);
+    if (cached !== undefined) return cached;
+
+    let hazard = null;
+    const center = utils.getGridCellCenter(offset);
+
+    for (const region of canvas.scene?.regions ?? []) {
+      if (!this.isRegionKnown(region)) continue;
+
+      const regionHazard = this.getRegionHazard(region);
+      if (!regionHazard || !utils.regionContainsPoint(region, center, elevation)) continue;
+
+      hazard = regionHazard;
+      break;
+    }
+
+    this.cellHazards.set(key, hazard);
+    return hazard;
+  }
+
+  /**
+   * Get the hazard a region's behaviors pose to tokens moving through it
+   * @param {RegionDocument} region - The region document
+   * @returns {String|null} - Hazard kind ('damage', 'teleport' or 'trigger'), or null if harmless
+   */
+  getRegionHazard(region) {
+    for (const behavior of region.behaviors ?? []) {
+      if (behavior.disabled) continue;
+
+      const hazard = HAZARD_BEHAVIORS[behavior.type] ?? (/damage/i.test(behavior.type) ? 'damage' : null);
+      if (!hazard) continue;
+
+      // Scripted behaviors only matter if they react to tokens
+      const events = behavior.system?.events;
+      if (events?.size && !Array.from(events).some(event => event.startsWith('token'))) continue;
+
+      return hazard;
+    }
+    return null;
+  }
+
+  /**
+   * Check if the current user knows a region is there
+   * @param {RegionDocument} region - The region document
+   * @returns {Boolean} - True for the GM, or if the region is always visible
+   */
+  isRegionKnown(region) {
+    if (game.user.isGM) return true;
+    return region.visibility === CONST.REGION_VISIBILITY?.ALWAYS;
+  }
+
+  /**
+   * Check if any region the current user can see is hazardous
+   * @returns {Boolean} - True if some cells may be hazardous
+   */
+  hasHazards() {
+    for (const region of canvas.scene?.regions ?? []) {
+      if (this.isRegionKnown(region) && this.getRegionHazard(region)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check if any region on the scene changes the movement cost of an action
+   * @param {String} action - Movement action
+   * @returns {Boolean} - True if some cells may cost more or less than normal
+   */
+  hasTerrainCosts(action = 'walk') {
+    for (const region of canvas.scene?.regions ?? []) {
+      if (this.getRegionCostMultiplier(region, action) !== null) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Drop cached terrain costs (regions changed)
+   */
+  clearCellCosts() {
+    this.costVersion++;
+    this.cellCosts.clear();
+    this.minimumCostMultipliers.clear();
+    this.cellHazards.clear();
+    debugLog('Navigation graph terrain costs invalidated');
+  }
+
+  /**
+   * Drop all cached data
+   */
+  clear() {
+    this.sceneId = null;
+    this.gridless = false;
+    this.blockedEdges.clear();
+    this.wallEdges.clear();
+    this.wallSegments.clear();
+    this.version++;
+    this.costVersion++;
+    this.cellCosts.clear();
+    this.minimumCostMultipliers.clear();
+    this.cellHazards.clear();
+  }
+
+  /**
+   * Clean up when module is disabled
+   */
+  destroy() {
+    for (const hook of this.hooks) {
+      Hooks.off(hook.name, hook.id);
+    }
+    this.hooks = [];
+    this.clear();
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * SharedControl Opportunity Attacks
+ * Finds where a previewed path leaves the reach of hostile creatures
+ *
+ * Reach comes from the system adapter. A creature threatens the spaces within its reach
+ * that no wall separates from it, and a move provokes it when the token's footprint goes
+ * from a threatened space to spaces it no longer threatens.
+ */
+
+import * as utils from './utils.js';
+import { debugLog } from './utils.js';
+import { getSystemAdapter } from './system-adapters.js';
+
+/**
+ * Get the creatures that could make opportunity attacks against a moving token
+ * Only hostile, living creatures the current user can see are considered
+ * @param {Token} token - The moving token
+ * @returns {Array} - Threats {token, reach} with reach in scene units
+ */
+export function getThreats(token) {
+  const threats = [];
+
+  for (const other of canvas.tokens?.placeables ?? []) {
+    if (other === token || !other.actor) continue;
+    if (!utils.isHostileTo(token, other) || utils.isTokenDefeated(other)) continue;
+
+    // Never reveal creatures the player cannot see
+    if (!other.visible || (other.document.hidden && !game.user.isGM)) continue;
+
+    let reach = null;
+    try {
+      reach = getSystemAdapter().getReach(other);
+    } catch (error) {
+      console.warn('SharedControl: Error getting reach of', other.name, error);
+    }
+    if (reach > 0) threats.push({ token: other, reach });
+  }
+
+  return threats;
+}
+
+/**
+ * Get the grid spaces a creature threatens
+ * @param {Token} threat - The threatening token
+ * @param {Number} reach - Its reach in scene units
+ * @returns {Set} - Threatened offset keys "i,j"
+ */
+export function getThreatenedCells(threat, reach) {
+  const walls = (canvas.walls?.placeables ?? []).map(wall => wall.document);
+  const anchor = canvas.grid.getOffset(utils.getGridPosition(threat.x, threat.y));
+  const sources = utils.getFootprintOffsets(anchor, utils.getTokenFootprint(threat));
+  const range = Math.ceil(reach / canvas.grid.distance) + 1;
+  const cells = new Set();
+
+  for (const source of sources) {
+    const sourceCenter = utils.getGridCellCenter(source);
+
+    for (let di = -range; di <= range; di++) {
+      for (let dj = -range; dj <= range; dj++) {
+        const cell = { i: source.i + di, j: source.j + dj };
+        const key = `${cell.i},${cell.j}`;
+        if (cells.has(key)) continue;
+
+        const center = utils.getGridCellCenter(cell);
+        if (canvas.grid.measurePath([sourceCenter, center]).distance > reach + 0.0001) continue;
+        if (utils.getMovementBlockers(sourceCenter, center, walls).length > 0) continue;
+        cells.add(key);
+      }
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Check if a token at a gridless position is within a creature's reach
+ * Reach is measured between the edges of the two tokens
+ * @param {Token} token - The moving token
+ * @param {Object} center - The moving token's center {x, y}
+ * @param {Object} threat - Threat {token, reach}
+ * @returns {Boolean} - True if within reach
+ */
+function isWithinGridlessReach(token, center, threat) {
+  const other = threat.token;
+  const gap = Math.hypot(center.x - other.center.x, center.y - other.center.y) -
+    (Math.min(token.w, token.h) / 2) - (Math.min(other.w, other.h) / 2);
+  return gap <= (threat.reach * canvas.dimensions.distancePixels) + 1;
+}
+
+/**
+ * Find where a path provokes opportunity attacks
+ * @param {Token} token - The moving token
+ * @param {Object} origin - Path origin {x, y} (footprint anchor center, or token center when gridless)
+ * @param {Array} path - Path points {x, y} excluding the origin
+ * @returns {Array} - Provocations {token, point}, where point is the last position within the creature's reach
+ */
+export function findProvocations(token, origin, path) {
+  const threats = getThreats(token);
+  if (threats.length === 0 || path.length === 0) return [];
+
+  const gridless = utils.isGridless();
+  const footprint = utils.getTokenFootprint(token);
+  const provocations = [];
+
+  for (const threat of threats) {
+    let isInReach;
+    if (gridless) {
+      isInReach = point => isWithinGridlessReach(token, point, threat);
+    } else {
+      const cells = getThreatenedCells(threat.token, threat.reach);
+      isInReach = point => utils.getFootprintOffsets(canvas.grid.getOffset(point), footprint)
+        .some(cell => cells.has(`${cell.i},${cell.j}`));
+    }
+
+    let previous = origin;
+    let wasInReach = isInReach(origin);
+    for (const point of path) {
+      const inReach = isInReach(point);
+      if (wasInReach && !inReach) provocations.push({ token: threat.token, point: previous });
+      previous = point;
+      wasInReach = inReach;
+    }
+  }
+
+  if (provocations.length > 0) {
+    debugLog('Path provokes opportunity attacks from', provocations.map(p => p.token.name));
+  }
+  return provocations;
+}
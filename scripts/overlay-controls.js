@@ -20,6 +20,8 @@ export class OverlayControls {
     this.broadcastButton = null;
     this.gmModeButton = null;
     this.blackoutButton = null;
+    this.undoButton = null;
+    this.marchingOrderButton = null;
     this.interactionBlocker = null;
     this.blackoutOverlay = null;
     this.panInterval = null;
@@ -109,6 +111,14 @@ export class OverlayControls {
     const buttonRow = document.createElement('div');
     buttonRow.className = 'shared-control-button-row';
 
+    // Create undo move button (enabled while this user has a move to take back)
+    this.undoButton = document.createElement('button');
+    this.undoButton.className = 'shared-control-btn shared-control-undo-btn';
+    this.undoButton.dataset.action = 'undo-move';
+    this.undoButton.title = game.i18n.localize('shared-control.ui.undoMove');
+    this.undoButton.innerHTML = '<i class="fas fa-rotate-left"></i>';
+    buttonRow.appendChild(this.undoButton);
+
     // Create broadcast button (GM only)
     if (game.user.isGM) {
       this.broadcastButton = document.createElement('button');
@@ -125,6 +135,13 @@ export class OverlayControls {
       this.gmModeButton.title = 'Toggle Normal Foundry Mode (drag-and-drop)';
       this.gmModeButton.innerHTML = '<i class="fas fa-hand-pointer"></i>';
       buttonRow.appendChild(this.gmModeButton);
+
+      // Create marching order button (sets the order from the controlled tokens, or clears it)
+      this.marchingOrderButton = document.createElement('button');
+      this.marchingOrderButton.className = 'shared-control-btn shared-control-marching-order-btn';
+      this.marchingOrderButton.dataset.action = 'marching-order';
+      this.marchingOrderButton.innerHTML = '<i class="fas fa-shoe-prints"></i>';
+      buttonRow.appendChild(this.marchingOrderButton);
     }
 
     // Create soft lock button (only for users with permission)
@@ -208,6 +225,12 @@ export class OverlayControls {
     const isBlackout = game.settings.get('shared-control', 'blackoutMode');
     this.updateBlackoutState(isBlackout);
 
+    // Apply current undo availability
+    this.updateUndoState();
+
+    // Apply current marching order
+    this.updateMarchingOrderState();
+
     // Start fade timer
     this.resetFadeTimer();
   }
@@ -313,6 +336,11 @@ export class OverlayControls {
       return;
     }
 
+    if (action === 'marching-order') {
+      if (isStart) this.setMarchingOrder();
+      return;
+    }
+
     // All other actions are blocked when locked or soft-locked (except for GM)
     if ((this.isLocked || this.isSoftLocked) && !game.user.isGM) {
       return;
@@ -340,9 +368,74 @@ export class OverlayControls {
       case 'pan-center':
         if (isStart) this.centerOnToken();
         break;
+      case 'undo-move':
+        if (isStart) this.undoMove();
+        break;
     }
   }
 
+  /**
+   * Undo the last move of the token the undo applies to
+   * A token being previewed is released first so the preview doesn't outlive the move
+   */
+  async undoMove() {
+    const history = game.sharedControl?.movementHistory;
+    const token = history?.getUndoTarget();
+    if (!token) return;
+
+    const stateMachine = game.sharedControl.stateMachine;
+    if (stateMachine?.selectedToken?.id === token.id) {
+      stateMachine.cancelMovement(game.sharedControl.rulerPreview);
+    }
+
+    await history.undo(token);
+    this.updateUndoState();
+  }
+
+  /**
+   * Enable the undo button only while there is a move this user may undo
+   */
+  updateUndoState() {
+    if (!this.undoButton) return;
+
+    const token = game.sharedControl?.movementHistory?.getUndoTarget() ?? null;
+    this.undoButton.disabled = !token;
+    this.undoButton.title = token
+      ? game.i18n.format('shared-control.ui.undoMoveOf', { name: token.name })
+      : game.i18n.localize('shared-control.ui.undoMove');
+  }
+
+  /**
+   * Set the scene's marching order from the controlled tokens, in the order they were
+   * controlled; with fewer than two controlled, clear the current order instead (GM only)
+   */
+  async setMarchingOrder() {
+    const marchingOrder = game.sharedControl?.marchingOrder;
+    if (!game.user.isGM || !marchingOrder) return;
+
+    const tokens = canvas.tokens?.controlled ?? [];
+    if (tokens.length < 2 && marchingOrder.getOrder().length > 0) {
+      await marchingOrder.clear();
+      ui.notifications.info(game.i18n.localize('shared-control.notifications.marchingOrderCleared'));
+      return;
+    }
+    await marchingOrder.setOrder(tokens);
+  }
+
+  /**
+   * Show whether the viewed scene has a marching order (GM only)
+   */
+  updateMarchingOrderState() {
+    if (!this.marchingOrderButton) return;
+
+    const order = game.sharedControl?.marchingOrder?.getOrder() ?? [];
+    const names = order.map(id => canvas.tokens?.get(id)?.name).filter(Boolean);
+    this.marchingOrderButton.classList.toggle('active', order.length > 0);
+    this.marchingOrderButton.title = order.length > 0
+      ? game.i18n.format('shared-control.ui.marchingOrderActive', { names: names.join(' → ') })
+      : game.i18n.localize('shared-control.ui.marchingOrder');
+  }
+
   /**
    * Toggle broadcast mode
    * Enabling broadcast locks controls, but disabling broadcast never unlocks
@@ -919,6 +1012,8 @@ export class OverlayControls {
 
     this.controlPanel = null;
     this.softLockButton = null;
+    this.undoButton = null;
+    this.marchingOrderButton = null;
     this.isVisible = false;
 
     debugLog('Overlay controls destroyed');
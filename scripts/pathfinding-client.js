@@ -0,0 +1,142 @@
+/**
+ * SharedControl Pathfinding Client
+ * Main-thread side of the pathfinding worker: sends scene snapshots and search
+ * requests, and cancels a search as soon as a newer one is started
+ */
+
+import { debugLog } from './utils.js';
+
+export class PathfindingClient {
+  constructor() {
+    this.worker = null;
+    this.unavailable = false; // Set once the worker fails; searches then run on the main thread
+    this.snapshotKey = null; // Key of the snapshot the worker holds
+    this.pending = null; // {id, resolve} of the search in flight
+    this.nextId = 0;
+  }
+
+  /**
+   * Check if searches can run in a worker
+   * @returns {Boolean} - True if a worker is (or can be) running
+   */
+  isAvailable() {
+    return !this.unavailable && typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Get the worker, starting it if needed
+   * @returns {Worker|null} - The worker, or null if workers are unavailable
+   */
+  getWorker() {
+    if (this.worker) return this.worker;
+    if (!this.isAvailable()) return null;
+
+    try {
+      this.worker = new Worker(new URL('./pathfinding-worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this.onMessage(event.data);
+      this.worker.onerror = (event) => this.onError(event);
+      this.snapshotKey = null;
+      debugLog('Pathfinding worker started');
+    } catch (error) {
+      console.warn('SharedControl: Pathfinding worker unavailable, searching on the main thread', error);
+      this.unavailable = true;
+      this.worker = null;
+    }
+    return this.worker;
+  }
+
+  /**
+   * Run a search in the worker, cancelling any search still in flight
+   * @param {String} type - Request type ('findPath', 'findReachable' or 'findGridlessPath')
+   * @param {String} snapshotKey - Key of the scene snapshot the search needs
+   * @param {Function} getSnapshot - Returns the snapshot, called only if the worker lacks it
+   * @param {Object} request - Search request data
+   * @returns {Promise<Object|null>} - The worker's result, {cancelled: true} if a newer search
+   *                                   replaced it, or null if the worker could not run it
+   */
+  search(type, snapshotKey, getSnapshot, request) {
+    this.cancel();
+
+    const worker = this.getWorker();
+    if (!worker) return Promise.resolve(null);
+
+    if (this.snapshotKey !== snapshotKey) {
+      worker.postMessage({ type: 'snapshot', key: snapshotKey, snapshot: getSnapshot() });
+      this.snapshotKey = snapshotKey;
+    }
+
+    const id = ++this.nextId;
+    return new Promise((resolve) => {
+      this.pending = { id, resolve };
+      worker.postMessage({ ...request, type, id, key: snapshotKey });
+    });
+  }
+
+  /**
+   * Handle a result from the worker
+   * @param {Object} data - Result message {id, error, ...}
+   */
+  onMessage(data) {
+    if (!this.pending || data.id !== this.pending.id) return; // Superseded
+
+    const { resolve } = this.pending;
+    this.pending = null;
+
+    if (data.error) {
+      console.warn('SharedControl: Pathfinding worker search failed', data.error);
+      resolve(null);
+      return;
+    }
+    resolve(data);
+  }
+
+  /**
+   * Handle the worker failing to load or crashing
+   * @param {ErrorEvent} event - The error event
+   */
+  onError(event) {
+    event.preventDefault?.();
+    console.warn('SharedControl: Pathfinding worker failed, searching on the main thread', event.message ?? event);
+    this.unavailable = true;
+    this.terminate();
+  }
+
+  /**
+   * Cancel the search in flight
+   * The worker cannot be interrupted mid-search, so it is replaced by a fresh one
+   */
+  cancel() {
+    if (!this.pending) return;
+
+    const { id, resolve } = this.pending;
+    this.pending = null;
+    this.terminate();
+    resolve({ cancelled: true });
+    debugLog('Pathfinding search', id, 'cancelled');
+  }
+
+  /**
+   * Stop the worker; a pending search resolves with null
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.snapshotKey = null;
+
+    if (this.pending) {
+      const { resolve } = this.pending;
+      this.pending = null;
+      resolve(null);
+    }
+  }
+
+  /**
+   * Clean up when module is disabled
+   */
+  destroy() {
+    this.cancel();
+    this.terminate();
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * SharedControl Pathfinding Worker
+ * Runs grid A*, reachable area and gridless visibility searches off the main thread
+ *
+ * The main thread first sends a scene snapshot (plain data: bounds, blocked edges,
+ * terrain costs or wall segments), then search requests that refer to it by key.
+ * A search is never interrupted here; stale searches are cancelled by terminating the worker.
+ */
+
+import { createSnapshotSpace, searchPath, searchReachable } from './grid-search.js';
+import { VisibilityGraph } from './visibility-graph.js';
+
+let scene = null; // {key, snapshot, visibilityGraph} for the last snapshot received
+
+/**
+ * Store a scene snapshot
+ * @param {String} key - Snapshot key
+ * @param {Object} snapshot - Grid snapshot, or {walls, passable} for gridless scenes
+ */
+function setSnapshot(key, snapshot) {
+  scene = { key, snapshot, visibilityGraph: null };
+
+  if (snapshot.walls) {
+    // Wall segments stand in for the WallDocuments the visibility graph reads {id, c, rule}
+    const walls = snapshot.walls;
+    scene.passable = new Set(snapshot.passable);
+    scene.visibilityGraph = new VisibilityGraph({ version: 0, getWallSegments: () => walls });
+  } else {
+    snapshot.blockedEdgeSet = new Set(snapshot.blockedEdges);
+    snapshot.blockedStepSet = new Set(snapshot.blockedSteps);
+  }
+}
+
+/**
+ * Run a grid A* search
+ * @param {Object} data - Request {start, end, footprint, occupancy}
+ * @returns {Object} - Search result {path, cost, iterations, explored, limitReached}
+ */
+function findPath(data) {
+  return searchPath(data.start, data.end, createSnapshotSpace(scene.snapshot, data));
+}
+
+/**
+ * Run a reachable area flood fill
+ * @param {Object} data - Request {start, maxCost, footprint, occupancy}
+ * @returns {Object} - Search result {cells} with every reachable anchor cell {i, j, cost}
+ */
+function findReachable(data) {
+  const reachable = searchReachable(data.start, data.maxCost, createSnapshotSpace(scene.snapshot, data));
+  return { cells: Array.from(reachable.values()) };
+}
+
+/**
+ * Run a gridless visibility graph search
+ * @param {Object} data - Request {start, end, clearance, bounds}
+ * @returns {Object} - Search result {path}
+ */
+function findGridlessPath(data) {
+  const path = scene.visibilityGraph.findPath(data.start, data.end, {
+    clearance: data.clearance,
+    bounds: data.bounds,
+    isPassable: (wall) => scene.passable.has(wall.id),
+    getRule: (wall) => wall.rule
+  });
+  return { path };
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'snapshot') {
+    setSnapshot(data.key, data.snapshot);
+    return;
+  }
+
+  try {
+    if (data.key !== scene?.key) throw new Error(`Unknown snapshot ${data.key}`);
+
+    const search = { findGridlessPath, findReachable }[data.type] ?? findPath;
+    const result = search(data);
+    self.postMessage({ id: data.id, ...result });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message });
+  }
+};
@@ -0,0 +1,168 @@
+/**
+ * SharedControl Priority Queue
+ * Binary min-heap with keyed lookups, used as the A* open set
+ */
+
+export class PriorityQueue {
+  constructor() {
+    this.heap = []; // Array of {key, value, priority} entries
+    this.positions = new Map(); // key -> index in heap
+  }
+
+  /**
+   * Number of entries in the queue
+   */
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Check if the queue is empty
+   * @returns {Boolean} - True if no entries remain
+   */
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
+  /**
+   * Check if an entry with the given key is queued
+   * @param {String} key - Entry key
+   * @returns {Boolean} - True if queued
+   */
+  has(key) {
+    return this.positions.has(key);
+  }
+
+  /**
+   * Get the current priority of a queued entry
+   * @param {String} key - Entry key
+   * @returns {Number|undefined} - Priority, or undefined if not queued
+   */
+  getPriority(key) {
+    const index = this.positions.get(key);
+    return index === undefined ? undefined : this.heap[index].priority;
+  }
+
+  /**
+   * Insert an entry, or lower the priority of an existing entry with the same key
+   * An existing entry is left untouched if the new priority is not lower
+   * @param {String} key - Entry key
+   * @param {*} value - Value returned when the entry is popped
+   * @param {Number} priority - Priority (lowest pops first)
+   * @returns {Boolean} - True if the entry was inserted or updated
+   */
+  push(key, value, priority) {
+    const index = this.positions.get(key);
+
+    if (index !== undefined) {
+      return this.decreasePriority(key, priority, value);
+    }
+
+    this.heap.push({ key, value, priority });
+    this.positions.set(key, this.heap.length - 1);
+    this.siftUp(this.heap.length - 1);
+    return true;
+  }
+
+  /**
+   * Lower the priority of a queued entry
+   * @param {String} key - Entry key
+   * @param {Number} priority - New priority
+   * @param {*} value - Optional replacement value
+   * @returns {Boolean} - True if the priority was lowered
+   */
+  decreasePriority(key, priority, value = undefined) {
+    const index = this.positions.get(key);
+    if (index === undefined) return false;
+
+    const entry = this.heap[index];
+    if (priority >= entry.priority) return false;
+
+    entry.priority = priority;
+    if (value !== undefined) entry.value = value;
+    this.siftUp(index);
+    return true;
+  }
+
+  /**
+   * Remove and return the entry with the lowest priority
+   * @returns {Object|null} - Entry {key, value, priority} or null if empty
+   */
+  pop() {
+    if (this.heap.length === 0) return null;
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    this.positions.delete(top.key);
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.positions.set(last.key, 0);
+      this.siftDown(0);
+    }
+
+    return top;
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.heap = [];
+    this.positions.clear();
+  }
+
+  /**
+   * Move an entry up until the heap property holds
+   * @param {Number} index - Heap index
+   */
+  siftUp(index) {
+    const entry = this.heap[index];
+
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = this.heap[parentIndex];
+      if (parent.priority <= entry.priority) break;
+
+      this.heap[index] = parent;
+      this.positions.set(parent.key, index);
+      index = parentIndex;
+    }
+
+    this.heap[index] = entry;
+    this.positions.set(entry.key, index);
+  }
+
+  /**
+   * Move an entry down until the heap property holds
+   * @param {Number} index - Heap index
+   */
+  siftDown(index) {
+    const length = this.heap.length;
+    const entry = this.heap[index];
+
+    while (true) {
+      const leftIndex = (index * 2) + 1;
+      const rightIndex = leftIndex + 1;
+      let smallest = index;
+      let smallestPriority = entry.priority;
+
+      if (leftIndex < length && this.heap[leftIndex].priority < smallestPriority) {
+        smallest = leftIndex;
+        smallestPriority = this.heap[leftIndex].priority;
+      }
+      if (rightIndex < length && this.heap[rightIndex].priority < smallestPriority) {
+        smallest = rightIndex;
+      }
+      if (smallest === index) break;
+
+      const child = this.heap[smallest];
+      this.heap[index] = child;
+      this.positions.set(child.key, index);
+      index = smallest;
+    }
+
+    this.heap[index] = entry;
+    this.positions.set(entry.key, index);
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * SharedControl Region Behaviors
+ * Module-specific Scene Region behavior types read by the pathfinder
+ */
+
+import { debugLog, MOVEMENT_MODES } from './utils.js';
+import { DIFFICULT_TERRAIN_BEHAVIOR } from './navigation-graph.js';
+
+/**
+ * Register the module's region behavior types
+ * Must run during the 'init' hook so the types exist before regions are prepared
+ */
+export function registerRegionBehaviors() {
+  const RegionBehaviorType = foundry.data?.regionBehaviors?.RegionBehaviorType;
+  if (!RegionBehaviorType || !CONFIG.RegionBehavior) {
+    debugLog('Region behaviors unavailable, skipping registration');
+    return;
+  }
+
+  /**
+   * Difficult terrain: multiplies the cost of entering cells inside the region
+   * for the selected movement modes
+   */
+  class DifficultTerrainRegionBehaviorType extends RegionBehaviorType {
+    static LOCALIZATION_PREFIXES = ['shared-control.regionBehaviors.difficultTerrain'];
+
+    static defineSchema() {
+      const fields = foundry.data.fields;
+      return {
+        multiplier: new fields.NumberField({
+          required: true,
+          nullable: false,
+          min: 0,
+          initial: 2
+        }),
+        actions: new fields.SetField(new fields.StringField({
+          required: true,
+          blank: false,
+          choices: () => Object.fromEntries(MOVEMENT_MODES.map(mode => [
+            mode, game.i18n.localize(`shared-control.movementModes.${mode}`)
+          ]))
+        }), {
+          // Flying creatures pass over difficult ground by default
+          initial: MOVEMENT_MODES.filter(mode => mode !== 'fly')
+        })
+      };
+    }
+  }
+
+  CONFIG.RegionBehavior.dataModels[DIFFICULT_TERRAIN_BEHAVIOR] = DifficultTerrainRegionBehaviorType;
+  CONFIG.RegionBehavior.typeIcons[DIFFICULT_TERRAIN_BEHAVIOR] = 'fa-solid fa-person-hiking';
+
+  debugLog('Region behaviors registered');
+}
@@ -5,21 +5,53 @@
 
 import * as utils from './utils.js';
 import { debugLog, lineSegmentsIntersect } from './utils.js';
+import { getStepKey, searchPath, searchReachable } from './grid-search.js';
+import { VisibilityGraph } from './visibility-graph.js';
+import { PathfindingClient } from './pathfinding-client.js';
+import { MovementHud } from './movement-hud.js';
+import { GroupPreview } from './group-movement.js';
+import { ACTIONS_PER_TURN } from './movement-budget.js';
+import { getSystemAdapter } from './system-adapters.js';
+import { findProvocations } from './opportunity-attacks.js';
 
 // Constants for A* pathfinding
-const DIAGONAL_COST = 1.41; // √2 ≈ 1.414
-const MAX_PATHFINDING_ITERATIONS = 5000; // Prevent infinite loops on large maps
+const MIN_PATHFINDING_ITERATIONS = 5000; // Floor for the iteration cap on small scenes
+const PATHFINDING_ITERATIONS_PER_CELL = 2; // Cap scales with scene size so long paths always resolve
+const HAZARD_STEP_PENALTY = 10; // Extra grid steps a route will detour to keep out of a hazardous space
+
+// Path colors for moves taking one, two and three actions (movement counted in actions)
+const ACTION_COLORS = [0x00FF00, 0xFFFF00, 0xFF8800];
 
 export class RulerPreview {
-  constructor() {
+  /**
+   * @param {NavigationGraph} navigationGraph - Cached wall graph for the current scene
+   */
+  constructor(navigationGraph = null) {
+    this.navigationGraph = navigationGraph;
+    this.visibilityGraph = navigationGraph ? new VisibilityGraph(navigationGraph) : null; // Gridless pathfinding
+    this.pathfinder = new PathfindingClient(); // Runs searches in a web worker
+    this.reachableSearch = new PathfindingClient(); // Runs reachable area searches in their own worker
+    this.reachableRequest = 0; // Incremented per reachable area search, so stale results are dropped
+    this.searchSnapshot = null; // {key, snapshot} last serialized for the worker
+    this.previewRequest = 0; // Incremented per preview; older previews drop their results
+    this.previewPending = false; // True while the latest preview is still searching
     this.activeToken = null;
     this.targetDestination = null;
     this.simulatedDragActive = false;
     this.graphics = null; // PIXI.Graphics for drawing path
     this.distanceText = null; // PIXI.Text for displaying distance
     this.currentPath = []; // Store the current grid path for movement
+    this.currentDistance = 0; // Movement cost of the current path in scene units
+    this.currentActions = 0; // Actions the current path takes, when movement is counted in actions
+    this.pendingDoor = null; // Closed door the current path stops at {wallId, destination}
+    this.provocations = []; // Where the current path provokes opportunity attacks {token, point}
+    this.movementMode = 'walk'; // Movement mode used for speed, walls, terrain and the executed move
+    this.movementHud = new MovementHud(this); // Movement mode controls shown while a token is selected
+    this.groupPreview = new GroupPreview(this); // Paths of the other tokens moving with the selected one
     this.debugGraphics = null; // PIXI.Graphics for debug visualization
     this.selectionGraphics = null; // PIXI.Graphics for token selection highlight
+    this.reachableGraphics = null; // PIXI.Graphics for the reachable area shading
+    this.speedBadge = null; // PIXI.Text over the selected token explaining a reduced speed
     this.selectionAnimation = null; // Animation frame ID for pulsing effect
   }
 
@@ -76,10 +108,19 @@ export class RulerPreview {
       this.selectionGraphics.lineStyle(3, 0x00FFFF, 0.8 * pulse);
       this.selectionGraphics.drawRoundedRect(tokenX - 2, tokenY - 2, tokenW + 4, tokenH + 4, 4);
 
+      // Keep the speed badge centered above the token
+      if (this.speedBadge) {
+        this.speedBadge.x = tokenX + (tokenW - this.speedBadge.width) / 2;
+        this.speedBadge.y = tokenY - glowSize - this.speedBadge.height;
+      }
+
       this.selectionAnimation = requestAnimationFrame(animate);
     };
 
+    this.updateSpeedBadge(token);
     animate();
+    this.showReachableArea(token);
+    this.movementHud.show(token);
     debugLog('Selection highlight shown for', token.name);
   }
 
@@ -98,6 +139,145 @@ export class RulerPreview {
     }
 
     this._highlightedToken = null;
+    this.clearSpeedBadge();
+    this.clearReachableArea();
+    this.movementHud?.hide();
+  }
+
+  /**
+   * Show a badge over the selected token naming the conditions that change its movement
+   * @param {Token} token - The selected token
+   */
+  updateSpeedBadge(token) {
+    this.clearSpeedBadge();
+    if (!token) return;
+
+    const labels = utils.getSpeedModifiers(token, this.movementMode)
+      .map(modifier => modifier.label)
+      .filter(Boolean);
+    if (labels.length === 0) return;
+
+    const reasons = [...new Set(labels)].join(', ');
+    const speed = utils.getAvailableMovement(token, this.movementMode);
+    const text = speed === null
+      ? reasons
+      : game.i18n.format('shared-control.ui.speedBadge', {
+        speed: Math.round(speed),
+        units: canvas.grid.units || 'units',
+        reasons
+      });
+
+    this.speedBadge = new PIXI.Text(text, {
+      fontSize: 16,
+      fill: 0xFFAA00,
+      stroke: 0x000000,
+      strokeThickness: 4,
+      fontWeight: 'bold'
+    });
+    this.speedBadge.x = token.x + ((token.w || token.width) - this.speedBadge.width) / 2;
+    this.speedBadge.y = token.y - this.speedBadge.height - 8;
+    canvas.controls.addChild(this.speedBadge);
+    debugLog('Speed badge for', token.name, ':', text);
+  }
+
+  /**
+   * Clear the speed badge
+   */
+  clearSpeedBadge() {
+    if (this.speedBadge) {
+      this.speedBadge.destroy();
+      this.speedBadge = null;
+    }
+  }
+
+  /**
+   * Shade every cell the token can reach: green within its movement, yellow within dash range
+   * (or one band per action when movement is counted in actions)
+   * @param {Token} token - The selected token
+   */
+  async showReachableArea(token) {
+    this.clearReachableArea();
+    const request = this.reachableRequest;
+
+    if (!game.settings.get('shared-control', 'showReachableArea')) return;
+    if (!token || !canvas.grid || utils.isGridless()) return;
+
+    const budget = this.getMovementBudget(token);
+    const bands = budget ? this.getRangeBands(budget) : [];
+    const range = bands.at(-1)?.limit;
+    if (!range) return; // Unlimited, unknown or spent movement has no range to show
+
+    const start = performance.now();
+    const footprint = utils.getTokenFootprint(token);
+    const occupancy = this.getOccupancy(token);
+    const options = {
+      action: this.movementMode,
+      elevation: token.document?.elevation ?? 0,
+      footprint,
+      occupancy,
+      // Hazards only steer A*; passing the setting lets the worker reuse the path searches' snapshot
+      hazards: game.settings.get('shared-control', 'hazardRouting')
+    };
+
+    // Costs are in grid steps, and every step costs more while crawling
+    const stepDistance = canvas.grid.distance * utils.getMovementCostMultiplier(token, this.movementMode);
+    const startOffset = canvas.grid.getOffset(utils.getGridPosition(token.x, token.y));
+    let reachable;
+    try {
+      reachable = await this.findReachableCells(startOffset, range / stepDistance, options);
+    } catch (error) {
+      console.warn('SharedControl: Error finding reachable area', error);
+      return;
+    }
+
+    // A newer selection, mode or budget change replaced this search, or the token was deselected
+    if (!reachable || request !== this.reachableRequest) return;
+
+    // Cheapest cost for every cell covered by a reachable placement
+    const cellCosts = new Map();
+    for (const anchor of reachable.values()) {
+      if (anchor.cost === 0) continue; // The token's own space
+      if (this.getFootprintOccupant(anchor, footprint, occupancy)) continue; // Cannot end here
+
+      for (const cell of utils.getFootprintOffsets(anchor, footprint)) {
+        const cellKey = `${cell.i},${cell.j}`;
+        const existing = cellCosts.get(cellKey);
+        if (!existing || anchor.cost < existing.cost) cellCosts.set(cellKey, { ...cell, cost: anchor.cost });
+      }
+    }
+
+    this.reachableGraphics = new PIXI.Graphics();
+    canvas.controls.addChild(this.reachableGraphics);
+
+    // Each cell takes the color of the first band that reaches it
+    const gridSize = canvas.grid.size;
+    bands.forEach((band, index) => {
+      const floor = index > 0 ? bands[index - 1].limit / stepDistance : -Infinity;
+      const ceiling = band.limit / stepDistance;
+
+      this.reachableGraphics.beginFill(band.color, 0.15);
+      for (const cell of cellCosts.values()) {
+        if (cell.cost <= floor || cell.cost > ceiling) continue;
+        const topLeft = canvas.grid.getTopLeftPoint(cell);
+        this.reachableGraphics.drawRect(topLeft.x, topLeft.y, gridSize, gridSize);
+      }
+      this.reachableGraphics.endFill();
+    });
+
+    debugLog('Reachable area shaded:', cellCosts.size, 'cells in', Math.round(performance.now() - start), 'ms');
+  }
+
+  /**
+   * Clear the reachable area shading
+   */
+  clearReachableArea() {
+    this.reachableRequest++;
+    this.reachableSearch.cancel();
+
+    if (this.reachableGraphics) {
+      this.reachableGraphics.destroy();
+      this.reachableGraphics = null;
+    }
   }
 
   /**
@@ -204,78 +384,778 @@ export class RulerPreview {
 
   /**
    * Show movement preview by simulating a drag workflow
+   * Searches run asynchronously; starting a newer preview (or clearing this one)
+   * cancels the search and this preview draws nothing
    * @param {Token} token - The token to preview movement for
    * @param {Object} destination - Destination position {x, y}
+   * @param {Array} waypoints - Intermediate positions {x, y} the path must visit, in order
+   * @returns {Boolean|null} - True if a path was previewed, false if not, null if a newer preview replaced it
    */
-  async showPreview(token, destination) {
-    debugLog('RulerPreview.showPreview called', { token: token?.name, destination });
+  async showPreview(token, destination, waypoints = []) {
+    debugLog('RulerPreview.showPreview called', { token: token?.name, destination, waypoints: waypoints.length });
 
     if (!token || !destination) {
       console.warn('SharedControl: Missing token or destination');
-      return;
+      return false;
     }
 
+    const request = ++this.previewRequest;
+    this.previewPending = true;
     this.activeToken = token;
     this.targetDestination = destination;
 
+    try {
+      // Gridless scenes path over wall corners instead of grid cells
+      if (utils.isGridless()) {
+        return await this.showGridlessPreview(token, destination, waypoints, request);
+      }
+      return await this.showGridPreview(token, destination, waypoints, request);
+    } finally {
+      if (request === this.previewRequest) this.previewPending = false;
+    }
+  }
+
+  /**
+   * Show the movement preview on a gridded scene
+   * With waypoints, the preview chains one A* leg per waypoint and the cost is cumulative
+   * @param {Token} token - The token to preview movement for
+   * @param {Object} destination - Destination position {x, y}
+   * @param {Array} waypoints - Intermediate positions {x, y} the path must visit, in order
+   * @param {Number} request - The preview's request number
+   * @returns {Boolean|null} - True if a path was previewed, false if not, null if a newer preview replaced it
+   */
+  async showGridPreview(token, destination, waypoints, request) {
     // Get token's current position - use grid center for visualization
     const origin = utils.getGridPosition(token.x, token.y);
     debugLog('Token origin', origin);
 
-    // Snap destination to grid
-    const snappedDest = utils.getGridPosition(destination.x, destination.y);
-    debugLog('Snapped destination', snappedDest);
+    const footprint = utils.getTokenFootprint(token);
+    const occupancy = this.getOccupancy(token);
+    const pathOptions = {
+      action: this.movementMode,
+      elevation: token.document?.elevation ?? 0,
+      footprint,
+      occupancy,
+      hazards: game.settings.get('shared-control', 'hazardRouting')
+    };
 
-    // Check if destination is within map bounds
-    if (!this.isWithinBounds(snappedDest)) {
-      debugLog('Destination is outside map bounds');
-      ui.notifications.warn(game.i18n.localize('shared-control.notifications.outOfBounds'));
-      return;
-    }
+    const route = [...waypoints, destination];
+    const gridPath = [];
+    const legEnds = []; // Index in gridPath of the last step of each leg
+    let legStart = origin;
+
+    for (let leg = 0; leg < route.length; leg++) {
+      const isFinal = leg === route.length - 1;
+
+      // Snap each point to a valid placement for the token's size
+      const anchor = this.getFootprintPlacement(route[leg], footprint, isFinal ? occupancy : null);
+      const snapped = utils.getGridCellCenter(anchor);
+      debugLog('Snapped route point', leg, snapped, 'for footprint', footprint);
+
+      // Check if the point is within map bounds
+      if (!this.isWithinBounds(snapped)) {
+        debugLog('Route point is outside map bounds');
+        ui.notifications.warn(game.i18n.localize('shared-control.notifications.outOfBounds'));
+        return false;
+      }
 
-    // Try to find a path using A* pathfinding (routes around walls)
-    debugLog('Finding path with A* pathfinding');
-    const gridPath = this.getGridPath(origin, snappedDest);
+      // A move can never end on another token - explain instead of previewing
+      if (isFinal) {
+        this.targetDestination = snapped;
+        const occupant = this.getFootprintOccupant(anchor, footprint, occupancy);
+        if (occupant) {
+          debugLog('Destination occupied by', occupant.name);
+          const message = game.i18n.format('shared-control.notifications.destinationOccupied', { name: occupant.name });
+          ui.notifications.warn(message);
+          this.clearPreview();
+          this.showIllegalDestination(anchor, footprint, message);
+          return false;
+        }
+      }
 
-    // If no path found, destination is unreachable
-    if (!gridPath || gridPath.length === 0) {
-      // Check if we're already at the destination
-      const startOffset = canvas.grid.getOffset(origin);
-      const endOffset = canvas.grid.getOffset(snappedDest);
-      if (startOffset.i === endOffset.i && startOffset.j === endOffset.j) {
-        debugLog('Already at destination');
+      // Tapping the cell the leg already starts in adds no movement
+      const startOffset = canvas.grid.getOffset(legStart);
+      if (startOffset.i === anchor.i && startOffset.j === anchor.j) {
+        legEnds.push(gridPath.length - 1);
+        continue;
+      }
+
+      // Try to find a path using A* pathfinding (routes around walls, tokens and costly terrain)
+      debugLog('Finding path with A* pathfinding for leg', leg);
+      const legPath = await this.getGridPath(legStart, snapped, { ...pathOptions, intermediate: !isFinal });
+      if (request !== this.previewRequest) return null;
+
+      // If no path found, the point is unreachable
+      if (!legPath || legPath.length === 0) {
+        console.warn('SharedControl: No path found to destination');
+        ui.notifications.error(game.i18n.localize('shared-control.notifications.movementBlocked'));
         this.clearPreview();
-        return;
+        return false;
       }
 
-      console.warn('SharedControl: No path found to destination');
-      ui.notifications.error(game.i18n.localize('shared-control.notifications.movementBlocked'));
+      gridPath.push(...legPath);
+      legEnds.push(gridPath.length - 1);
+      legStart = snapped;
+    }
+
+    // Already at destination
+    if (gridPath.length === 0) {
+      debugLog('Already at destination');
       this.clearPreview();
-      return;
+      return false;
     }
 
-    debugLog('Path found with', gridPath.length, 'waypoints');
+    debugLog('Path found with', gridPath.length, 'waypoints over', route.length, 'legs');
 
-    // Calculate distance along the actual path (not straight line)
-    let distance = 0;
-    let prevPos = origin;
-    for (const waypoint of gridPath) {
-      distance += utils.calculateDistance(prevPos, waypoint);
-      prevPos = waypoint;
+    // Closed doors on the route: the path stops at the door and the door is opened next
+    let previewPath = gridPath;
+    this.pendingDoor = null;
+    const door = this.findDoorOnPath(origin, gridPath, footprint);
+    if (door) {
+      debugLog('Path stops at door', door.wall.id, 'after', door.index, 'steps');
+      previewPath = gridPath.slice(0, door.index);
+      this.pendingDoor = this.getPendingDoor(door.wall, route, legEnds, door.index);
     }
+
+    // Calculate distance along the actual path (not straight line), including terrain costs
+    // and the extra cost of crawling
+    const distance = (this.measureSystemCost(token, previewPath) ??
+      this.measurePathDistance(origin, previewPath, pathOptions)) *
+      utils.getMovementCostMultiplier(token, this.movementMode);
     debugLog('Path distance calculated', distance);
 
-    // Get available movement for color-coding (no restrictions)
-    const availableMovement = utils.getAvailableMovement(token);
-    debugLog('Available movement', availableMovement);
+    // Get the movement left this turn for color-coding (no restrictions)
+    const budget = this.getMovementBudget(token);
+    debugLog('Movement budget', budget);
 
     debugLog('Calling simulateDrag');
     // Simulate drag to show ruler with distance text (pass pre-calculated path)
-    await this.simulateDrag(token, origin, snappedDest, distance, availableMovement, gridPath);
+    const previewDest = previewPath.length > 0 ? previewPath[previewPath.length - 1] : origin;
+    await this.simulateDrag(token, origin, previewDest, distance, budget, previewPath);
+    if (request !== this.previewRequest) return null;
+
+    // Mark the intermediate waypoints the path has reached
+    this.drawWaypointMarkers(legEnds.slice(0, -1)
+      .filter(index => index >= 0 && index < previewPath.length)
+      .map(index => previewPath[index]));
+
+    // Warn about hazards the path could not (or was not asked to) avoid
+    this.drawHazardMarkers(previewPath, pathOptions);
+    this.showProvocations(token, origin, previewPath);
+
+    if (door) this.showDoorStop(door.wall, origin, previewDest);
+
+    return true;
+  }
+
+  /**
+   * Describe the door a path stops at, with the route still to travel once it is open
+   * @param {WallDocument} wallDoc - The door's wall document
+   * @param {Array} route - Route points {x, y} as tapped (waypoints then destination)
+   * @param {Array} legEnds - Index in the path of the last step of each leg
+   * @param {Number} doorIndex - Index of the first path step through the door
+   * @returns {Object} - Pending door {wallId, destination, waypoints}
+   */
+  getPendingDoor(wallDoc, route, legEnds, doorIndex) {
+    const remaining = route.filter((point, leg) => legEnds[leg] >= doorIndex);
+    const destination = remaining.pop();
+    return {
+      wallId: wallDoc.id,
+      destination: { x: destination.x, y: destination.y },
+      waypoints: remaining.map(point => ({ x: point.x, y: point.y }))
+    };
+  }
+
+  /**
+   * Highlight the door a path stops at and say so in the distance label
+   * @param {WallDocument} wallDoc - The door's wall document
+   * @param {Object} origin - Path origin {x, y}
+   * @param {Object} previewDest - Where the previewed path ends {x, y}
+   */
+  showDoorStop(wallDoc, origin, previewDest) {
+    this.drawDoorMarker(wallDoc);
+    if (this.distanceText) {
+      this.distanceText.text += ` - ${game.i18n.localize('shared-control.ui.stopsAtDoor')}`;
+      this.distanceText.x = ((origin.x + previewDest.x) / 2) - (this.distanceText.width / 2);
+    }
+  }
+
+  /**
+   * Draw markers on the intermediate waypoints of a path
+   * @param {Array} points - Waypoint positions {x, y}
+   */
+  drawWaypointMarkers(points) {
+    if (!this.graphics || points.length === 0) return;
+
+    const radius = canvas.grid.size / 6;
+    for (const point of points) {
+      this.graphics.lineStyle(3, 0x000000, 0.8);
+      this.graphics.beginFill(0xFFFFFF, 0.9);
+      this.graphics.drawCircle(point.x, point.y, radius);
+      this.graphics.endFill();
+    }
+    this.graphics.lineStyle(0);
+  }
+
+  /**
+   * Draw a warning sign on every hazardous space a path crosses
+   * @param {Array} gridPath - Array of grid positions {x, y} (footprint anchors)
+   * @param {Object} options - Search options {elevation, footprint}
+   */
+  drawHazardMarkers(gridPath, options = {}) {
+    if (!this.graphics || !this.navigationGraph?.isReady() || !this.navigationGraph.hasHazards()) return;
+
+    const hazardCells = new Map();
+    for (const point of gridPath) {
+      for (const cell of utils.getFootprintOffsets(canvas.grid.getOffset(point), options.footprint)) {
+        if (this.navigationGraph.getCellHazard(cell, options)) hazardCells.set(`${cell.i},${cell.j}`, cell);
+      }
+    }
+    if (hazardCells.size === 0) return;
+
+    debugLog('Path crosses', hazardCells.size, 'hazardous spaces');
+    const size = canvas.grid.size / 3;
+
+    for (const cell of hazardCells.values()) {
+      const { x, y } = utils.getGridCellCenter(cell);
+
+      // Yellow warning triangle with an exclamation mark
+      this.graphics.lineStyle(3, 0x000000, 0.9);
+      this.graphics.beginFill(0xFFCC00, 1);
+      this.graphics.drawPolygon([x, y - size, x + size, y + (size * 0.75), x - size, y + (size * 0.75)]);
+      this.graphics.endFill();
+      this.graphics.moveTo(x, y - (size * 0.45));
+      this.graphics.lineTo(x, y + (size * 0.2));
+      this.graphics.lineStyle(0);
+      this.graphics.beginFill(0x000000, 1);
+      this.graphics.drawCircle(x, y + (size * 0.48), 2.5);
+      this.graphics.endFill();
+    }
+  }
+
+  /**
+   * Mark where a path provokes opportunity attacks and list the creatures in the movement HUD
+   * @param {Token} token - The moving token
+   * @param {Object} origin - Path origin {x, y}
+   * @param {Array} path - Path points {x, y} excluding the origin
+   */
+  showProvocations(token, origin, path) {
+    this.provocations = [];
+    if (!game.settings.get('shared-control', 'opportunityAttackWarnings')) return;
+
+    try {
+      this.provocations = findProvocations(token, origin, path);
+    } catch (error) {
+      console.warn('SharedControl: Error checking opportunity attacks', error);
+    }
+
+    this.drawProvocationMarkers(this.provocations.map(provocation => provocation.point));
+    this.movementHud.update();
+  }
+
+  /**
+   * Draw a warning glyph on every space where a path leaves a hostile creature's reach
+   * @param {Array} points - Positions {x, y} the token leaves reach from
+   */
+  drawProvocationMarkers(points) {
+    if (!this.graphics || points.length === 0) return;
+
+    const size = canvas.grid.size / 4;
+    const drawn = new Set();
+    for (const { x, y } of points) {
+      const key = `${Math.round(x)},${Math.round(y)}`;
+      if (drawn.has(key)) continue;
+      drawn.add(key);
+
+      // Red diamond with crossed blades
+      this.graphics.lineStyle(3, 0x000000, 0.9);
+      this.graphics.beginFill(0xDD2222, 1);
+      this.graphics.drawPolygon([x, y - size, x + size, y, x, y + size, x - size, y]);
+      this.graphics.endFill();
+      this.graphics.lineStyle(3, 0xFFFFFF, 1);
+      this.graphics.moveTo(x - (size * 0.45), y - (size * 0.45));
+      this.graphics.lineTo(x + (size * 0.45), y + (size * 0.45));
+      this.graphics.moveTo(x + (size * 0.45), y - (size * 0.45));
+      this.graphics.lineTo(x - (size * 0.45), y + (size * 0.45));
+    }
+    this.graphics.lineStyle(0);
+  }
+
+  /**
+   * Set the movement mode used for new previews and the executed move
+   * @param {String} mode - Movement mode (walk, fly, swim, burrow, climb)
+   */
+  setMovementMode(mode) {
+    if (!utils.MOVEMENT_MODES.includes(mode)) return;
+    this.movementMode = mode;
+    debugLog('Movement mode set to', mode);
+
+    // Range depends on the mode's speed and terrain, and conditions may only affect some modes
+    if (this._highlightedToken) {
+      this.showReachableArea(this._highlightedToken);
+      this.updateSpeedBadge(this._highlightedToken);
+    }
+  }
+
+  /**
+   * Get the movement a token has left this turn in the current movement mode
+   * @param {Token} token - The token
+   * @returns {Object|null} - {remaining, dashRange, dashing} in scene units, or null if unlimited
+   */
+  getMovementBudget(token) {
+    const tracker = game.sharedControl?.movementBudget;
+    if (tracker) return tracker.getBudget(token, this.movementMode);
+
+    // Without the tracker every move has the token's full speed
+    const speed = utils.getAvailableMovement(token, this.movementMode);
+    if (speed === null) return null;
+    const actionsLeft = Math.max(0, ACTIONS_PER_TURN + utils.getActionModifier(token, this.movementMode));
+    return { speed, remaining: speed, dashRange: speed * 2, dashing: false, actionsLeft };
+  }
+
+  /**
+   * Get the distance bands paths and the reachable area are colored by
+   * Normally green within the movement left and yellow within dash range; when movement is
+   * counted in actions, one band per action still available this turn
+   * @param {Object} budget - Movement budget from getMovementBudget
+   * @returns {Array} - Bands {color, limit} in increasing order, limit in scene units
+   */
+  getRangeBands(budget) {
+    if (utils.usesActionMovement()) {
+      return ACTION_COLORS.slice(0, budget.actionsLeft)
+        .map((color, index) => ({ color, limit: budget.speed * (index + 1) }));
+    }
+
+    return [
+      { color: 0x00FF00, limit: budget.remaining },
+      { color: 0xFFFF00, limit: budget.dashRange }
+    ];
+  }
+
+  /**
+   * Measure a path with the token's own movement cost rules
+   * Used when movement is counted in actions, so the game system's difficult terrain
+   * rules decide what each Stride covers
+   * @param {Token} token - The token
+   * @param {Array} path - Path points {x, y} excluding the origin, as drawn in the preview
+   * @param {Object} start - Top-left position the path starts from {x, y} (defaults to the token's)
+   * @returns {Number|null} - Cost in scene units, or null to use the module's own measurement
+   */
+  measureSystemCost(token, path, start = token.document) {
+    if (!utils.usesActionMovement() || typeof token.document?.measureMovementPath !== 'function') return null;
+    if (path.length === 0) return 0;
+
+    try {
+      const placements = [
+        { x: start.x, y: start.y },
+        ...path.map(point => this.getTokenPlacement(token, point))
+      ];
+      const waypoints = placements.map(({ x, y }) => ({ x, y, action: this.movementMode }));
+      const cost = token.document.measureMovementPath(waypoints).cost;
+      return Number.isFinite(cost) ? cost : null;
+    } catch (error) {
+      console.warn('SharedControl: Error measuring path with system movement costs', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the movement mode a token starts in when selected
+   * Uses the token's current movement action if the token can still use it
+   * @param {Token} token - The selected token
+   * @returns {String} - Movement mode
+   */
+  getDefaultMovementMode(token) {
+    const current = token?.document?.movementAction;
+    if (current && utils.getAvailableMovementModes(token).includes(current)) return current;
+    return 'walk';
+  }
+
+  /**
+   * Show the movement preview on a gridless scene
+   * The path runs between token centers and is drawn as a polyline as wide as the token
+   * @param {Token} token - The token to move
+   * @param {Object} destination - Destination position {x, y} (token center)
+   * @param {Array} waypoints - Intermediate positions {x, y} the path must visit, in order
+   * @param {Number} request - The preview's request number
+   * @returns {Boolean|null} - True if a path was previewed, false if not, null if a newer preview replaced it
+   */
+  async showGridlessPreview(token, destination, waypoints, request) {
+    const origin = token.center;
+    const clearance = Math.min(token.w, token.h) / 2;
+    const route = [...waypoints, destination];
+
+    if (!route.every(point => this.isWithinBounds(point))) {
+      debugLog('Route point is outside map bounds');
+      ui.notifications.warn(game.i18n.localize('shared-control.notifications.outOfBounds'));
+      return false;
+    }
+
+    const path = [];
+    const legEnds = []; // Index in path of the last point of each leg
+    let legStart = origin;
+
+    for (const point of route) {
+      // A point on top of the previous one adds no movement
+      if (Math.hypot(point.x - legStart.x, point.y - legStart.y) < 1) {
+        legEnds.push(path.length - 1);
+        continue;
+      }
+
+      const legPath = await this.getGridlessPath(legStart, point, clearance);
+      if (request !== this.previewRequest) return null;
+
+      if (!legPath || legPath.length === 0) {
+        console.warn('SharedControl: No path found to destination');
+        ui.notifications.error(game.i18n.localize('shared-control.notifications.movementBlocked'));
+        this.clearPreview();
+        return false;
+      }
+
+      path.push(...legPath);
+      legEnds.push(path.length - 1);
+      legStart = point;
+    }
+
+    if (path.length === 0) {
+      debugLog('Already at destination');
+      this.clearPreview();
+      return false;
+    }
+
+    debugLog('Gridless path found with', path.length, 'waypoints over', route.length, 'legs');
+
+    // Closed doors on the route: the path stops short of the door and the door is opened next
+    let previewPath = path;
+    this.pendingDoor = null;
+    const door = this.findGridlessDoorOnPath(origin, path, clearance);
+    if (door) {
+      debugLog('Path stops at door', door.wall.id);
+      previewPath = door.path;
+      this.pendingDoor = this.getPendingDoor(door.wall, route, legEnds, door.index);
+    }
+
+    const previewDest = previewPath.length > 0 ? previewPath[previewPath.length - 1] : origin;
+    this.targetDestination = previewDest;
+
+    const distance = (this.measureSystemCost(token, previewPath) ??
+      this.measurePolylineDistance(origin, previewPath)) *
+      utils.getMovementCostMultiplier(token, this.movementMode);
+    const budget = this.getMovementBudget(token);
+    debugLog('Gridless path distance', distance, 'budget', budget);
+
+    await this.simulateDrag(token, origin, previewDest, distance, budget, previewPath);
+    if (request !== this.previewRequest) return null;
+
+    this.drawWaypointMarkers(legEnds.slice(0, -1)
+      .filter(index => index >= 0 && index < previewPath.length)
+      .map(index => path[index]));
+    this.showProvocations(token, origin, previewPath);
+
+    if (door) this.showDoorStop(door.wall, origin, previewDest);
+
+    return true;
+  }
+
+  /**
+   * Find a path between two token centers on a gridless scene
+   * Uses the visibility graph when available, otherwise only a straight line
+   * @param {Object} origin - Origin point {x, y}
+   * @param {Object} destination - Destination point {x, y}
+   * @param {Number} clearance - Token radius in pixels
+   * @returns {Array|null} - Array of points {x, y} excluding the origin, or null if blocked (or replaced)
+   */
+  async getGridlessPath(origin, destination, clearance) {
+    if (!utils.movementModeUsesWalls(this.movementMode)) return [{ x: destination.x, y: destination.y }];
+
+    if (!this.visibilityGraph || !this.navigationGraph?.isReady()) {
+      return this.isBlockedByWalls(origin, destination) ? null : [{ x: destination.x, y: destination.y }];
+    }
+
+    const start = performance.now();
+    const bounds = this.getSceneBounds();
+    const workerResult = await this.findGridlessPathInWorker(origin, destination, clearance, bounds);
+    if (workerResult?.cancelled) return null;
+
+    const path = workerResult
+      ? workerResult.path
+      : this.visibilityGraph.findPath(origin, destination, {
+        clearance,
+        bounds,
+        isPassable: (wallDoc) => this.canRouteThroughDoor(wallDoc),
+        getRule: (wallDoc) => utils.getWallMovementRule(wallDoc)
+      });
+    debugLog('Visibility graph search took', Math.round(performance.now() - start), 'ms');
+    return path;
+  }
+
+  /**
+   * Run a visibility graph search in the pathfinding worker
+   * @param {Object} origin - Origin point {x, y}
+   * @param {Object} destination - Destination point {x, y}
+   * @param {Number} clearance - Token radius in pixels
+   * @param {Object} bounds - Scene bounds {x, y, width, height}
+   * @returns {Object|null} - {path} ({cancelled: true} if replaced), or null if the worker can't run it
+   */
+  async findGridlessPathInWorker(origin, destination, clearance, bounds) {
+    if (!this.pathfinder.isAvailable()) return null;
+
+    const graph = this.navigationGraph;
+    const snapshotKey = [
+      'walls', graph.sceneId, graph.version,
+      game.user.isGM, game.settings.get('shared-control', 'playersOpenDoors')
+    ].join('|');
+
+    // Wall segments with the doors this user may route through
+    const buildSnapshot = () => {
+      const walls = graph.getWallSegments();
+      return {
+        walls: walls.map(wallDoc => ({
+          id: wallDoc.id,
+          c: Array.from(wallDoc.c),
+          rule: utils.getWallMovementRule(wallDoc)
+        })),
+        passable: walls.filter(wallDoc => this.canRouteThroughDoor(wallDoc)).map(wallDoc => wallDoc.id)
+      };
+    };
+
+    return this.pathfinder.search('findGridlessPath', snapshotKey,
+      () => this.getSearchSnapshot(snapshotKey, buildSnapshot), {
+        start: { x: origin.x, y: origin.y },
+        end: { x: destination.x, y: destination.y },
+        clearance,
+        bounds: bounds ? { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height } : null
+      });
+  }
+
+  /**
+   * Find the first closed door a gridless path crosses
+   * @param {Object} origin - Origin point {x, y}
+   * @param {Array} path - Array of points {x, y}
+   * @param {Number} clearance - Token radius in pixels
+   * @returns {Object|null} - {path, wall, index} where path ends just short of the door
+   *                        and index is the path point the crossing leads to
+   */
+  findGridlessDoorOnPath(origin, path, clearance) {
+    const doors = (this.navigationGraph?.getWallSegments() ?? [])
+      .filter(wallDoc => wallDoc.door !== CONST.WALL_DOOR_TYPES.NONE && this.canRouteThroughDoor(wallDoc));
+    if (doors.length === 0) return null;
+
+    let prev = origin;
+    for (let index = 0; index < path.length; index++) {
+      const next = path[index];
+      let nearest = null;
+
+      for (const wallDoc of doors) {
+        const c = wallDoc.c;
+        const t = this.getSegmentIntersection(prev, next, c);
+        if (t !== null && (!nearest || t < nearest.t)) nearest = { t, wall: wallDoc };
+      }
+
+      if (nearest) {
+        // Stop one token radius before the crossing point
+        const length = Math.hypot(next.x - prev.x, next.y - prev.y);
+        const t = Math.max(0, nearest.t - ((clearance + 1) / Math.max(length, 1)));
+        const stop = { x: prev.x + ((next.x - prev.x) * t), y: prev.y + ((next.y - prev.y) * t) };
+        const truncated = path.slice(0, index);
+        if (t > 0) truncated.push(stop);
+        return { path: truncated, wall: nearest.wall, index };
+      }
+      prev = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get where a path segment crosses a wall
+   * @param {Object} a - Segment start {x, y}
+   * @param {Object} b - Segment end {x, y}
+   * @param {Array} c - Wall coordinates [x1, y1, x2, y2]
+   * @returns {Number|null} - Fraction along a-b of the crossing, or null if they don't cross
+   */
+  getSegmentIntersection(a, b, c) {
+    if (!lineSegmentsIntersect(a.x, a.y, b.x, b.y, c[0], c[1], c[2], c[3])) return null;
+
+    const denom = ((c[3] - c[1]) * (b.x - a.x)) - ((c[2] - c[0]) * (b.y - a.y));
+    if (denom === 0) return null;
+    return (((c[2] - c[0]) * (a.y - c[1])) - ((c[3] - c[1]) * (a.x - c[0]))) / denom;
+  }
+
+  /**
+   * Measure a polyline in scene distance units
+   * @param {Object} origin - Origin point {x, y}
+   * @param {Array} path - Array of points {x, y}
+   * @returns {Number} - Distance in scene units
+   */
+  measurePolylineDistance(origin, path) {
+    let pixels = 0;
+    let prev = origin;
+    for (const point of path) {
+      pixels += Math.hypot(point.x - prev.x, point.y - prev.y);
+      prev = point;
+    }
+    return (pixels / canvas.grid.size) * canvas.grid.distance;
+  }
+
+  /**
+   * Draw a gridless path as a polyline as wide as the token
+   * @param {Token} token - The moving token
+   * @param {Object} origin - Origin point {x, y}
+   * @param {Array} path - Array of points {x, y}
+   * @param {Number} color - Path color
+   */
+  drawPolylinePath(token, origin, path, color) {
+    if (path.length === 0) return;
+
+    const drawLine = () => {
+      this.graphics.moveTo(origin.x, origin.y);
+      for (const point of path) {
+        this.graphics.lineTo(point.x, point.y);
+      }
+    };
+
+    // Swept area of the token
+    this.graphics.lineStyle({
+      width: token.w,
+      color,
+      alpha: 0.4,
+      cap: PIXI.LINE_CAP.ROUND,
+      join: PIXI.LINE_JOIN.ROUND
+    });
+    drawLine();
+
+    // Center line and final position outline
+    this.graphics.lineStyle(3, color, 0.9);
+    drawLine();
+    const end = path[path.length - 1];
+    this.graphics.drawEllipse(end.x, end.y, token.w / 2, token.h / 2);
+    this.graphics.lineStyle(0);
+  }
+
+  /**
+   * Get the top-left token position for a path point
+   * Grid paths hold cell centers; gridless paths hold token centers
+   * @param {Token} token - The moving token
+   * @param {Object} point - Path point {x, y}
+   * @returns {Object} - Token position {x, y}
+   */
+  getTokenPlacement(token, point) {
+    if (utils.isGridless()) {
+      return { x: point.x - (token.w / 2), y: point.y - (token.h / 2) };
+    }
+    return utils.getTokenPosition(point.x, point.y);
+  }
+
+  /**
+   * Check if movement between two adjacent grid cells is blocked by walls
+   * Doors the current user may route through do not count as blocking
+   * @param {Object} fromOffset - From grid offset {i, j}
+   * @param {Object} toOffset - To grid offset {i, j}
+   * @returns {Boolean} - True if blocked
+   */
+  isEdgeBlocked(fromOffset, toOffset) {
+    return this.getEdgePassage(fromOffset, toOffset).blocked;
+  }
+
+  /**
+   * Classify the edge between two adjacent grid cells
+   * Uses the cached navigation graph, falling back to a direct wall scan if
+   * the graph has not been built for the current scene
+   * @param {Object} fromOffset - From grid offset {i, j}
+   * @param {Object} toOffset - To grid offset {i, j}
+   * @returns {Object} - {blocked: Boolean, door: WallDocument|null} - door is set when
+   *                     the edge is only crossable by opening a closed door
+   */
+  getEdgePassage(fromOffset, toOffset) {
+    if (!utils.movementModeUsesWalls(this.movementMode)) return { blocked: false, door: null };
+
+    if (!this.navigationGraph?.isReady()) {
+      const blocked = this.isBlockedByWalls(
+        utils.getGridCellCenter(fromOffset),
+        utils.getGridCellCenter(toOffset)
+      );
+      return { blocked, door: null };
+    }
+
+    // The graph records every wall crossing the edge; keep those that stop movement this way
+    const blockers = utils.getMovementBlockers(
+      utils.getGridCellCenter(fromOffset),
+      utils.getGridCellCenter(toOffset),
+      this.navigationGraph.getEdgeBlockers(fromOffset, toOffset)
+    );
+    if (blockers.length === 0) return { blocked: false, door: null };
+
+    // Passable only if every blocking wall is a door this user may open
+    if (blockers.every(wallDoc => this.canRouteThroughDoor(wallDoc))) {
+      return { blocked: false, door: blockers[0] };
+    }
+    return { blocked: true, door: null };
+  }
+
+  /**
+   * Check if the current user's routes may pass through a closed door
+   * Players need the "players may open doors" option and can never use locked or
+   * secret doors; the GM may route through any door
+   * @param {WallDocument} wallDoc - The wall document
+   * @returns {Boolean} - True if the door can be routed through
+   */
+  canRouteThroughDoor(wallDoc) {
+    if (wallDoc.door === CONST.WALL_DOOR_TYPES.NONE) return false;
+    if (game.user.isGM) return true;
+    if (!game.settings.get('shared-control', 'playersOpenDoors')) return false;
+
+    return wallDoc.door === CONST.WALL_DOOR_TYPES.DOOR &&
+           wallDoc.ds === CONST.WALL_DOOR_STATES.CLOSED;
+  }
+
+  /**
+   * Find the first closed door a path has to open
+   * @param {Object} origin - Origin position {x, y}
+   * @param {Array} gridPath - Array of grid positions {x, y} (footprint anchors)
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @returns {Object|null} - {index, wall} where index is the first path step through the door
+   */
+  findDoorOnPath(origin, gridPath, footprint) {
+    let prev = canvas.grid.getOffset(origin);
+
+    for (let index = 0; index < gridPath.length; index++) {
+      const next = canvas.grid.getOffset(gridPath[index]);
+      const di = next.i - prev.i;
+      const dj = next.j - prev.j;
+
+      for (const cell of utils.getFootprintOffsets(prev, footprint)) {
+        const { door } = this.getEdgePassage(cell, { i: cell.i + di, j: cell.j + dj });
+        if (door) return { index, wall: door };
+      }
+      prev = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * Highlight a door the path stops at
+   * @param {WallDocument} wallDoc - The door's wall document
+   */
+  drawDoorMarker(wallDoc) {
+    if (!this.graphics || !wallDoc?.c) return;
+
+    const c = wallDoc.c;
+    this.graphics.lineStyle(8, 0xFFA500, 0.9);
+    this.graphics.moveTo(c[0], c[1]);
+    this.graphics.lineTo(c[2], c[3]);
+    this.graphics.lineStyle(0);
+
+    // Small handle at the door's midpoint
+    this.graphics.beginFill(0xFFA500, 1);
+    this.graphics.drawCircle((c[0] + c[2]) / 2, (c[1] + c[3]) / 2, 10);
+    this.graphics.endFill();
   }
 
   /**
    * Check if movement between two grid positions is blocked by walls
+   * One-way, limited and proximity walls follow Foundry's movement rules
    * @param {Object} from - From position {x, y}
    * @param {Object} to - To position {x, y}
    * @returns {Boolean} - True if blocked
@@ -284,32 +1164,16 @@ export class RulerPreview {
     // Always check walls manually for reliability
     try {
       // Get all walls - try multiple sources
-      let walls = canvas.walls?.placeables || [];
-      if (walls.length === 0 && canvas.walls?.objects?.children) {
-        walls = canvas.walls.objects.children;
-      }
-
-      for (const wall of walls) {
-        // Get wall document - handle both placeables and raw objects
-        const doc = wall.document || wall;
-
-        // Skip doors that are open
-        const doorState = doc.ds;
-        if (doorState === CONST.WALL_DOOR_STATES.OPEN) continue;
-
-        // Skip walls that don't block movement (NONE = 0)
-        const moveType = doc.move;
-        if (moveType === CONST.WALL_MOVEMENT_TYPES.NONE) continue;
-
-        // Get wall coordinates
-        const c = doc.c;
-        if (!c || c.length < 4) continue;
+      let walls = canvas.walls?.placeables || [];
+      if (walls.length === 0 && canvas.walls?.objects?.children) {
+        walls = canvas.walls.objects.children;
+      }
 
-        // Check for line segment intersection using our robust algorithm
-        if (lineSegmentsIntersect(from.x, from.y, to.x, to.y, c[0], c[1], c[2], c[3])) {
-          debugLog('Wall blocks path from', from, 'to', to);
-          return true;
-        }
+      // Handle both placeables and raw objects
+      const docs = walls.map(wall => wall.document || wall).filter(doc => doc.c?.length >= 4);
+      if (utils.getMovementBlockers(from, to, docs).length > 0) {
+        debugLog('Wall blocks path from', from, 'to', to);
+        return true;
       }
 
       return false;
@@ -611,13 +1475,31 @@ export class RulerPreview {
     }
   }
 
+  /**
+   * Get the A* iteration cap for the current scene
+   * Scales with the number of grid cells so a search can always explore the whole scene
+   * @returns {Number} - Maximum number of A* iterations
+   */
+  getMaxPathfindingIterations() {
+    const bounds = this.getSceneBounds();
+    const gridSize = canvas.grid?.size;
+    if (!bounds || !gridSize) return MIN_PATHFINDING_ITERATIONS;
+
+    // Pad by one cell on each side for partially covered edge cells
+    const columns = Math.ceil(bounds.width / gridSize) + 2;
+    const rows = Math.ceil(bounds.height / gridSize) + 2;
+    return Math.max(MIN_PATHFINDING_ITERATIONS, columns * rows * PATHFINDING_ITERATIONS_PER_CELL);
+  }
+
   /**
    * Get all grid squares along the path from origin to destination using A* pathfinding
+   * The search runs in the pathfinding worker when possible, on the main thread otherwise
    * @param {Object} origin - Origin position
    * @param {Object} destination - Destination position
-   * @returns {Array} - Array of grid positions
+   * @param {Object} options - Search options passed to findPathAStar
+   * @returns {Array|null} - Array of grid positions, or null if there is no path (or a newer search replaced this one)
    */
-  getGridPath(origin, destination) {
+  async getGridPath(origin, destination, options = {}) {
     const gridSize = canvas.grid.size;
 
     // Convert positions to grid coordinates
@@ -625,7 +1507,12 @@ export class RulerPreview {
     const endOffset = canvas.grid.getOffset(destination);
 
     // Try A* pathfinding first to avoid walls
-    const pathfindingResult = this.findPathAStar(startOffset, endOffset);
+    const workerResult = await this.findPathInWorker(startOffset, endOffset, options);
+    if (workerResult?.cancelled) return null;
+
+    const pathfindingResult = workerResult
+      ? workerResult.path
+      : this.findPathAStar(startOffset, endOffset, options);
 
     if (pathfindingResult && pathfindingResult.length > 0) {
       debugLog('Using A* pathfinding with', pathfindingResult.length, 'nodes');
@@ -642,198 +1529,590 @@ export class RulerPreview {
   }
 
   /**
-   * A* pathfinding algorithm to find path around obstacles
+   * Run an A* search in the pathfinding worker
+   * Any search still running is cancelled, so only the latest tap is searched
    * @param {Object} startOffset - Start grid offset {i, j}
    * @param {Object} endOffset - End grid offset {i, j}
-   * @returns {Array|null} - Array of grid offsets or null if no path
+   * @param {Object} options - Search options, as for findPathAStar
+   * @returns {Object|null} - {path} ({cancelled: true} if replaced), or null if the worker can't run it
    */
-  findPathAStar(startOffset, endOffset) {
-    const gridSize = canvas.grid.size;
+  async findPathInWorker(startOffset, endOffset, options = {}) {
+    if (!this.pathfinder.isAvailable()) return null;
 
-    debugLog('A* pathfinding from', startOffset, 'to', endOffset);
+    const snapshotKey = this.getGridSnapshotKey(options);
+    if (!snapshotKey) return null;
 
-    // Check if destination has any overlap with bounds (lenient check for destination)
-    if (!this.isGridOffsetWithinBounds(endOffset, true)) {
-      debugLog('A* pathfinding: destination out of bounds');
-      return null;
+    if (!this.isSearchDestinationValid(endOffset, options)) return { path: null };
+
+    const start = performance.now();
+    const result = await this.pathfinder.search('findPath', snapshotKey,
+      () => this.getSearchSnapshot(snapshotKey, () => this.buildGridSnapshot(options)), {
+        start: { i: startOffset.i, j: startOffset.j },
+        end: { i: endOffset.i, j: endOffset.j },
+        footprint: options.footprint ?? { width: 1, height: 1 },
+        occupancy: Array.from(options.occupancy ?? [], ([cellKey, entry]) => [cellKey, entry.blocks])
+      });
+
+    if (result && !result.cancelled) {
+      this.logSearchResult(result);
+      debugLog('Worker search took', Math.round(performance.now() - start), 'ms');
     }
+    return result;
+  }
+
+  /**
+   * Get the key of the grid snapshot a search needs
+   * Changes whenever walls, regions, door permissions, the movement mode or hazard routing change
+   * @param {Object} options - Search options {action, elevation, hazards}
+   * @returns {String|null} - Snapshot key, or null if the scene can't be serialized
+   */
+  getGridSnapshotKey(options = {}) {
+    const graph = this.navigationGraph;
+    if (!graph?.isReady() || !this.getSceneBounds()) return null;
+
+    return [
+      'grid', graph.sceneId, graph.version, graph.costVersion, utils.getDiagonalRule(),
+      this.movementMode, options.action, options.elevation ?? 0, options.hazards,
+      game.user.isGM, game.settings.get('shared-control', 'playersOpenDoors')
+    ].join('|');
+  }
 
-    // Helper to get unique key for grid position
-    const getKey = (offset) => `${offset.i},${offset.j}`;
+  /**
+   * Get a scene snapshot for the worker, rebuilding it only when its key changes
+   * @param {String} key - Snapshot key
+   * @param {Function} build - Builds the snapshot
+   * @returns {Object} - The snapshot
+   */
+  getSearchSnapshot(key, build) {
+    if (this.searchSnapshot?.key !== key) {
+      const start = performance.now();
+      this.searchSnapshot = { key, snapshot: build() };
+      debugLog('Search snapshot built in', Math.round(performance.now() - start), 'ms');
+    }
+    return this.searchSnapshot.snapshot;
+  }
 
-    // Helper to calculate heuristic - use octile distance for square grids with diagonals
-    const heuristic = (a, b) => {
-      const dx = Math.abs(a.i - b.i);
-      const dy = Math.abs(a.j - b.j);
-      const gridType = canvas.grid.type;
+  /**
+   * Serialize what the grid search needs to know about the scene
+   * Bounds, wall, terrain and hazard checks are resolved here, so the worker only reads plain arrays
+   * @param {Object} options - Search options {action, elevation, hazards}
+   * @returns {Object} - Grid snapshot, see createSnapshotSpace in grid-search.js
+   */
+  buildGridSnapshot(options = {}) {
+    const graph = this.navigationGraph;
+    const bounds = this.getSceneBounds();
+    const first = canvas.grid.getOffset({ x: bounds.x, y: bounds.y });
+    const last = canvas.grid.getOffset({ x: bounds.x + bounds.width, y: bounds.y + bounds.height });
+
+    // Pad by two cells on each side for partially covered edge cells
+    const cells = {
+      minI: Math.min(first.i, last.i) - 2,
+      minJ: Math.min(first.j, last.j) - 2,
+      rows: Math.abs(last.i - first.i) + 5,
+      columns: Math.abs(last.j - first.j) + 5
+    };
 
-      // For hex grids, use Manhattan distance
-      if (gridType >= CONST.GRID_TYPES.HEXODDR) {
-        return dx + dy;
+    const inBounds = new Uint8Array(cells.rows * cells.columns);
+    const costs = graph.hasTerrainCosts(options.action)
+      ? new Float64Array(cells.rows * cells.columns).fill(1)
+      : null;
+    const hazards = (options.hazards && options.hazards !== 'ignore' && graph.hasHazards())
+      ? new Float64Array(cells.rows * cells.columns)
+      : null;
+
+    for (let row = 0; row < cells.rows; row++) {
+      for (let column = 0; column < cells.columns; column++) {
+        const offset = { i: cells.minI + row, j: cells.minJ + column };
+        if (!this.isGridOffsetWithinBounds(offset)) continue;
+
+        const index = (row * cells.columns) + column;
+        inBounds[index] = 1;
+        if (costs) costs[index] = graph.getCellCost(offset, options);
+        if (hazards) hazards[index] = this.getHazardPenalty(offset, { ...options, footprint: undefined });
       }
+    }
+
+    // Only edges that stay blocked for this user and movement mode (not doors they may open);
+    // one-way walls block a single direction, recorded as a step
+    const blockedEdges = [];
+    const blockedSteps = [];
+    for (const edgeKey of graph.blockedEdges.keys()) {
+      const [from, to] = edgeKey.split('|').map(cellKey => {
+        const [i, j] = cellKey.split(',').map(Number);
+        return { i, j };
+      });
+      const forward = this.getEdgePassage(from, to).blocked;
+      const backward = this.getEdgePassage(to, from).blocked;
+      if (forward && backward) blockedEdges.push(edgeKey);
+      else if (forward) blockedSteps.push(getStepKey(from, to));
+      else if (backward) blockedSteps.push(getStepKey(to, from));
+    }
 
-      // For square grids with diagonals, use octile distance (D + (√2-1) * min(dx,dy))
-      // Approximated as D + 0.41 * min(dx, dy) for efficiency
-      return dx + dy - 0.59 * Math.min(dx, dy);
+    return {
+      grid: utils.getSearchGrid(),
+      cells,
+      bounds: inBounds,
+      blockedEdges,
+      blockedSteps,
+      costs,
+      hazards,
+      costFloor: graph.getMinimumCostMultiplier(options.action),
+      maxIterations: this.getMaxPathfindingIterations()
     };
+  }
 
-    // Helper to calculate movement cost between adjacent cells
-    const getMoveCost = (from, to) => {
-      const dx = Math.abs(from.i - to.i);
-      const dy = Math.abs(from.j - to.j);
+  /**
+   * Get the movement cost of a single step between adjacent cells
+   * The base cost follows the scene's diagonal rule and is scaled by the
+   * destination cell's terrain multiplier
+   * @param {Object} from - From grid offset {i, j}, with diagonal parity {d} for alternating rules
+   * @param {Object} to - To grid offset {i, j}
+   * @param {Object} options - Search options {elevation}
+   * @returns {Number} - Step cost in grid spaces (Infinity if impassable)
+   */
+  getStepCost(from, to, options = {}) {
+    const baseCost = this.isDiagonalStep(from, to)
+      ? utils.getDiagonalStepCost(from.d ?? 0)
+      : 1;
+    if (!Number.isFinite(baseCost)) return baseCost;
 
-      // Diagonal movement costs √2 ≈ 1.41 (or 1.5 in some systems)
-      if (dx === 1 && dy === 1) {
-        return DIAGONAL_COST;
-      }
-      return 1;
-    };
+    return baseCost * this.getTerrainMultiplier(to, options);
+  }
 
-    // Helper to get neighbors based on grid type
-    const getNeighbors = (offset) => {
-      const gridType = canvas.grid.type;
-
-      // Hex grids (columns or rows)
-      if (gridType === CONST.GRID_TYPES.HEXODDR || gridType === CONST.GRID_TYPES.HEXEVENR) {
-        // Hex rows (pointy-top) - neighbors depend on row parity
-        const isOddRow = offset.j % 2 !== 0;
-        if (isOddRow) {
-          return [
-            { i: offset.i + 1, j: offset.j },     // right
-            { i: offset.i - 1, j: offset.j },     // left
-            { i: offset.i, j: offset.j - 1 },     // upper-left
-            { i: offset.i + 1, j: offset.j - 1 }, // upper-right
-            { i: offset.i, j: offset.j + 1 },     // lower-left
-            { i: offset.i + 1, j: offset.j + 1 }, // lower-right
-          ];
-        } else {
-          return [
-            { i: offset.i + 1, j: offset.j },     // right
-            { i: offset.i - 1, j: offset.j },     // left
-            { i: offset.i - 1, j: offset.j - 1 }, // upper-left
-            { i: offset.i, j: offset.j - 1 },     // upper-right
-            { i: offset.i - 1, j: offset.j + 1 }, // lower-left
-            { i: offset.i, j: offset.j + 1 },     // lower-right
-          ];
-        }
-      } else if (gridType === CONST.GRID_TYPES.HEXODDC || gridType === CONST.GRID_TYPES.HEXEVENC) {
-        // Hex columns (flat-top) - neighbors depend on column parity
-        const isOddCol = offset.i % 2 !== 0;
-        if (isOddCol) {
-          return [
-            { i: offset.i, j: offset.j - 1 },     // up
-            { i: offset.i, j: offset.j + 1 },     // down
-            { i: offset.i - 1, j: offset.j },     // upper-left
-            { i: offset.i - 1, j: offset.j + 1 }, // lower-left
-            { i: offset.i + 1, j: offset.j },     // upper-right
-            { i: offset.i + 1, j: offset.j + 1 }, // lower-right
-          ];
-        } else {
-          return [
-            { i: offset.i, j: offset.j - 1 },     // up
-            { i: offset.i, j: offset.j + 1 },     // down
-            { i: offset.i - 1, j: offset.j - 1 }, // upper-left
-            { i: offset.i - 1, j: offset.j },     // lower-left
-            { i: offset.i + 1, j: offset.j - 1 }, // upper-right
-            { i: offset.i + 1, j: offset.j },     // lower-right
-          ];
-        }
+  /**
+   * Check if a step between adjacent cells is a diagonal on a square grid
+   * Hex grids have no diagonals even though both offset coordinates can change
+   * @param {Object} from - From grid offset {i, j}
+   * @param {Object} to - To grid offset {i, j}
+   * @returns {Boolean} - True if diagonal
+   */
+  isDiagonalStep(from, to) {
+    if (canvas.grid.type !== CONST.GRID_TYPES.SQUARE) return false;
+    return from.i !== to.i && from.j !== to.j;
+  }
+
+  /**
+   * Get the terrain cost multiplier for entering a grid cell
+   * For multi-cell tokens the most expensive cell under the footprint applies
+   * @param {Object} offset - Grid offset {i, j} (footprint anchor)
+   * @param {Object} options - Search options {elevation, footprint}
+   * @returns {Number} - Cost multiplier (1 = normal terrain)
+   */
+  getTerrainMultiplier(offset, options = {}) {
+    if (!this.navigationGraph?.isReady()) return 1;
+
+    let multiplier = 0;
+    for (const cell of utils.getFootprintOffsets(offset, options.footprint)) {
+      multiplier = Math.max(multiplier, this.navigationGraph.getCellCost(cell, options));
+    }
+    return multiplier;
+  }
+
+  /**
+   * Get the extra routing cost of entering a grid cell because of hazardous regions
+   * The penalty steers pathfinding only; it never counts toward the measured distance
+   * @param {Object} offset - Grid offset {i, j} (footprint anchor)
+   * @param {Object} options - Search options {elevation, footprint, hazards}
+   * @returns {Number} - Penalty in grid steps (Infinity if hazards are avoided)
+   */
+  getHazardPenalty(offset, options = {}) {
+    if (!options.hazards || options.hazards === 'ignore' || !this.navigationGraph?.isReady()) return 0;
+
+    for (const cell of utils.getFootprintOffsets(offset, options.footprint)) {
+      if (this.navigationGraph.getCellHazard(cell, options)) {
+        return options.hazards === 'avoid' ? Infinity : HAZARD_STEP_PENALTY;
       }
+    }
+    return 0;
+  }
 
-      // Square grid - 8-directional movement with diagonals
-      return [
-        { i: offset.i + 1, j: offset.j },     // right
-        { i: offset.i - 1, j: offset.j },     // left
-        { i: offset.i, j: offset.j + 1 },     // down
-        { i: offset.i, j: offset.j - 1 },     // up
-        { i: offset.i + 1, j: offset.j - 1 }, // up-right (diagonal)
-        { i: offset.i - 1, j: offset.j - 1 }, // up-left (diagonal)
-        { i: offset.i + 1, j: offset.j + 1 }, // down-right (diagonal)
-        { i: offset.i - 1, j: offset.j + 1 }, // down-left (diagonal)
-      ];
-    };
+  /**
+   * Check if every cell of a footprint is within the scene bounds
+   * @param {Object} anchor - Top-left grid offset {i, j}
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @returns {Boolean} - True if the whole footprint is in bounds
+   */
+  isFootprintWithinBounds(anchor, footprint) {
+    return utils.getFootprintOffsets(anchor, footprint)
+      .every(cell => this.isGridOffsetWithinBounds(cell));
+  }
 
-    // Initialize open and closed sets
-    const openSet = [startOffset];
-    const closedSet = new Set();
-    const cameFrom = new Map();
-    const gScore = new Map();
-    const fScore = new Map();
-
-    gScore.set(getKey(startOffset), 0);
-    fScore.set(getKey(startOffset), heuristic(startOffset, endOffset));
-
-    let iterations = 0;
-    const maxIterations = MAX_PATHFINDING_ITERATIONS;
-
-    while (openSet.length > 0 && iterations < maxIterations) {
-      iterations++;
-
-      // Get node with lowest fScore
-      openSet.sort((a, b) => fScore.get(getKey(a)) - fScore.get(getKey(b)));
-      const current = openSet.shift();
-      const currentKey = getKey(current);
-
-      // Check if we reached the destination
-      if (current.i === endOffset.i && current.j === endOffset.j) {
-        // Reconstruct path
-        const path = [current];
-        let temp = current;
-        while (cameFrom.has(getKey(temp))) {
-          temp = cameFrom.get(getKey(temp));
-          path.unshift(temp);
-        }
-        debugLog('A* found path with', path.length, 'nodes in', iterations, 'iterations');
-        return path;
+  /**
+   * Check if a wall runs between any two cells of a footprint
+   * A token cannot be placed straddling a wall
+   * @param {Object} anchor - Top-left grid offset {i, j}
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @returns {Boolean} - True if a wall splits the footprint
+   */
+  isFootprintObstructed(anchor, footprint) {
+    for (const cell of utils.getFootprintOffsets(anchor, footprint)) {
+      const right = { i: cell.i, j: cell.j + 1 };
+      const below = { i: cell.i + 1, j: cell.j };
+
+      if (cell.j + 1 < anchor.j + footprint.width && this.isEdgeBlocked(cell, right)) return true;
+      if (cell.i + 1 < anchor.i + footprint.height && this.isEdgeBlocked(cell, below)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check if moving a footprint one step is blocked by walls
+   * Every cell of the footprint must be able to make the same step
+   * @param {Object} from - Top-left grid offset {i, j} before the step
+   * @param {Object} to - Top-left grid offset {i, j} after the step
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @returns {Boolean} - True if blocked
+   */
+  isFootprintMoveBlocked(from, to, footprint) {
+    const di = to.i - from.i;
+    const dj = to.j - from.j;
+
+    for (const cell of utils.getFootprintOffsets(from, footprint)) {
+      if (this.isEdgeBlocked(cell, { i: cell.i + di, j: cell.j + dj })) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Snap a tapped point to a valid placement for a token's footprint
+   * Prefers the placement whose center is closest to the tap, skipping placements
+   * that leave the scene or straddle a wall
+   * @param {Object} point - Tapped position {x, y}
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @param {Map} occupancy - Occupied cells from getOccupancy (placements on tokens are avoided)
+   * @returns {Object} - Top-left grid offset {i, j} of the placement
+   */
+  getFootprintPlacement(point, footprint, occupancy = null) {
+    const tapped = canvas.grid.getOffset(point);
+    if (footprint.width === 1 && footprint.height === 1) return tapped;
+
+    const gridSize = canvas.grid.size;
+    const candidates = [];
+
+    // Every placement whose footprint still covers the tapped cell
+    for (let di = 0; di < footprint.height; di++) {
+      for (let dj = 0; dj < footprint.width; dj++) {
+        const anchor = { i: tapped.i - di, j: tapped.j - dj };
+        const topLeft = canvas.grid.getTopLeftPoint(anchor);
+        const centerX = topLeft.x + (footprint.width * gridSize) / 2;
+        const centerY = topLeft.y + (footprint.height * gridSize) / 2;
+        candidates.push({ anchor, distance: Math.hypot(centerX - point.x, centerY - point.y) });
       }
+    }
 
-      closedSet.add(currentKey);
+    candidates.sort((a, b) => a.distance - b.distance);
 
-      // Check all neighbors
-      for (const neighbor of getNeighbors(current)) {
-        const neighborKey = getKey(neighbor);
+    const valid = candidates.find(({ anchor }) =>
+      this.isFootprintWithinBounds(anchor, footprint) &&
+      !this.isFootprintObstructed(anchor, footprint) &&
+      !this.getFootprintOccupant(anchor, footprint, occupancy)
+    );
 
-        if (closedSet.has(neighborKey)) continue;
+    return (valid ?? candidates[0]).anchor;
+  }
 
-        // Skip neighbors outside map bounds
-        if (!this.isGridOffsetWithinBounds(neighbor)) {
-          closedSet.add(neighborKey);
-          continue;
-        }
+  /**
+   * Measure the distance of a path using the same cost model as the pathfinder
+   * Follows the scene's diagonal rule (including alternating 5/10/5) and terrain costs
+   * @param {Object} origin - Origin position {x, y}
+   * @param {Array} gridPath - Array of grid positions {x, y}
+   * @param {Object} options - Search options {elevation}
+   * @returns {Number} - Distance in scene distance units
+   */
+  measurePathDistance(origin, gridPath, options = {}) {
+    let cost = 0;
+    let prev = { ...canvas.grid.getOffset(origin), d: 0 };
+
+    for (const waypoint of gridPath) {
+      const offset = canvas.grid.getOffset(waypoint);
+      const isDiagonal = this.isDiagonalStep(prev, offset);
 
-        // Check if movement to this neighbor is blocked by walls
-        const currentCenter = canvas.grid.getTopLeftPoint(current);
-        currentCenter.x += gridSize / 2;
-        currentCenter.y += gridSize / 2;
+      cost += this.getStepCost(prev, offset, options);
+      prev = { ...offset, d: isDiagonal ? 1 - prev.d : prev.d };
+    }
 
-        const neighborCenter = canvas.grid.getTopLeftPoint(neighbor);
-        neighborCenter.x += gridSize / 2;
-        neighborCenter.y += gridSize / 2;
+    return cost * canvas.grid.distance;
+  }
 
-        if (this.isBlockedByWalls(currentCenter, neighborCenter)) {
-          // Don't add to closedSet - cell might be reachable from another direction
-          continue;
-        }
+  /**
+   * Map the grid cells occupied by other tokens
+   * Hostile tokens block movement; any other token may be passed through but not ended on
+   * @param {Token} token - The moving token
+   * @returns {Map} - cellKey -> {token, blocks}
+   */
+  getOccupancy(token) {
+    const occupancy = new Map();
+    if (!game.settings.get('shared-control', 'tokenCollision')) return occupancy;
+
+    const moverFootprint = utils.getTokenFootprint(token);
+    const moverArea = moverFootprint.width * moverFootprint.height;
+    const moveThroughLarger = game.settings.get('shared-control', 'moveThroughLargerTokens');
+    const gridSize = canvas.grid.size;
 
-        // Calculate tentative gScore (account for diagonal cost)
-        const moveCost = getMoveCost(current, neighbor);
-        const tentativeGScore = gScore.get(currentKey) + moveCost;
+    for (const other of canvas.tokens?.placeables ?? []) {
+      if (other.id === token.id) continue;
 
-        if (!openSet.find(n => getKey(n) === neighborKey)) {
-          openSet.push(neighbor);
-        } else if (tentativeGScore >= (gScore.get(neighborKey) || Infinity)) {
-          continue;
-        }
+      // Tokens moving as a group leave their spaces together
+      if (this.groupPreview.includes(token) && this.groupPreview.includes(other)) continue;
+
+      // Players are only obstructed by tokens they can see
+      if (!game.user.isGM && !other.visible) continue;
+      if (utils.isTokenDefeated(other)) continue;
+
+      const footprint = utils.getTokenFootprint(other);
+      let blocks = utils.isHostileTo(token, other);
+      if (blocks && moveThroughLarger && footprint.width * footprint.height > moverArea) {
+        blocks = false;
+      }
+
+      // Anchor on the center of the token's top-left cell (the token center for single cells)
+      const anchorPoint = (footprint.width === 1 && footprint.height === 1)
+        ? other.center
+        : { x: other.document.x + gridSize / 2, y: other.document.y + gridSize / 2 };
+      const anchor = canvas.grid.getOffset(anchorPoint);
+
+      for (const cell of utils.getFootprintOffsets(anchor, footprint)) {
+        const cellKey = `${cell.i},${cell.j}`;
+        const existing = occupancy.get(cellKey);
+        if (existing?.blocks) continue;
+        occupancy.set(cellKey, { token: other, blocks });
+      }
+    }
+
+    debugLog('Occupancy mapped:', occupancy.size, 'cells');
+    return occupancy;
+  }
+
+  /**
+   * Find a token occupying any cell of a footprint
+   * @param {Object} anchor - Top-left grid offset {i, j}
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @param {Map} occupancy - Occupied cells from getOccupancy
+   * @param {Boolean} blockingOnly - Only report tokens that block movement
+   * @returns {Token|null} - The occupying token, or null if the footprint is free
+   */
+  getFootprintOccupant(anchor, footprint, occupancy, blockingOnly = false) {
+    if (!occupancy?.size) return null;
+
+    for (const cell of utils.getFootprintOffsets(anchor, footprint)) {
+      const entry = occupancy.get(`${cell.i},${cell.j}`);
+      if (entry && (entry.blocks || !blockingOnly)) return entry.token;
+    }
+    return null;
+  }
+
+  /**
+   * Mark a destination the token cannot end on and explain why
+   * @param {Object} anchor - Top-left grid offset {i, j} of the destination
+   * @param {Object} footprint - Footprint size {width, height} in cells
+   * @param {String} message - Explanation shown on the canvas
+   */
+  showIllegalDestination(anchor, footprint, message) {
+    if (!this.graphics) {
+      this.graphics = new PIXI.Graphics();
+      canvas.controls.addChild(this.graphics);
+    }
+
+    const gridSize = canvas.grid.size;
+    const topLeft = canvas.grid.getTopLeftPoint(anchor);
+    const width = footprint.width * gridSize;
+    const height = footprint.height * gridSize;
+
+    // Red cross over the destination footprint
+    this.graphics.clear();
+    this.graphics.beginFill(0xFF0000, 0.3);
+    this.graphics.drawRect(topLeft.x, topLeft.y, width, height);
+    this.graphics.endFill();
+    this.graphics.lineStyle(4, 0xFF0000, 0.9);
+    this.graphics.moveTo(topLeft.x, topLeft.y);
+    this.graphics.lineTo(topLeft.x + width, topLeft.y + height);
+    this.graphics.moveTo(topLeft.x + width, topLeft.y);
+    this.graphics.lineTo(topLeft.x, topLeft.y + height);
+    this.graphics.lineStyle(0);
+
+    if (!this.distanceText) {
+      this.distanceText = new PIXI.Text('', {
+        fontSize: 24,
+        fill: 0xFFFFFF,
+        stroke: 0x000000,
+        strokeThickness: 4,
+        fontWeight: 'bold'
+      });
+      canvas.controls.addChild(this.distanceText);
+    }
+
+    this.distanceText.text = message;
+    this.distanceText.x = topLeft.x + (width / 2) - (this.distanceText.width / 2);
+    this.distanceText.y = topLeft.y - this.distanceText.height - 4;
+    this.distanceText.visible = true;
+  }
 
-        // This path is the best so far
-        cameFrom.set(neighborKey, current);
-        gScore.set(neighborKey, tentativeGScore);
-        fScore.set(neighborKey, tentativeGScore + heuristic(neighbor, endOffset));
+  /**
+   * Build a test for whether a token's footprint may stand on (or pass through) an anchor cell
+   * Results for large tokens are cached for the lifetime of the returned function
+   * @param {Object} footprint - Token size {width, height} in cells
+   * @param {Map} occupancy - Cells occupied by other tokens, from getOccupancy
+   * @returns {Function} - Called with a grid offset {i, j}; true if the footprint fits there
+   */
+  getPlacementTest(footprint, occupancy) {
+    const isLargeToken = footprint.width > 1 || footprint.height > 1;
+    const placementCache = new Map(); // cellKey -> Boolean (footprint fits here)
+
+    return (anchor) => {
+      // Hostile tokens block every step into their space
+      if (this.getFootprintOccupant(anchor, footprint, occupancy, true)) return false;
+      if (!isLargeToken) return this.isGridOffsetWithinBounds(anchor);
+
+      const cellKey = `${anchor.i},${anchor.j}`;
+      if (!placementCache.has(cellKey)) {
+        placementCache.set(cellKey, this.isFootprintWithinBounds(anchor, footprint) &&
+          !this.isFootprintObstructed(anchor, footprint));
       }
+      return placementCache.get(cellKey);
+    };
+  }
+
+  /**
+   * Check if walls block a single step of a token's footprint
+   * @param {Object} from - Anchor grid offset {i, j}
+   * @param {Object} to - Adjacent anchor grid offset {i, j}
+   * @param {Object} footprint - Token size {width, height} in cells
+   * @returns {Boolean} - True if blocked
+   */
+  isStepBlocked(from, to, footprint) {
+    return (footprint.width > 1 || footprint.height > 1)
+      ? this.isFootprintMoveBlocked(from, to, footprint)
+      : this.isEdgeBlocked(from, to);
+  }
+
+  /**
+   * Build the search space the grid search runs over on the main thread
+   * @param {Object} options - Search options {action, elevation, footprint, occupancy, hazards}
+   * @returns {Object} - Search space (see grid-search.js)
+   */
+  createSearchSpace(options = {}) {
+    const footprint = options.footprint ?? { width: 1, height: 1 };
+
+    // Scale the heuristic down if any region makes movement cheaper than normal
+    const costFloor = this.navigationGraph?.isReady()
+      ? this.navigationGraph.getMinimumCostMultiplier(options.action)
+      : 1;
+
+    return {
+      grid: utils.getSearchGrid(),
+      costFloor,
+      maxIterations: this.getMaxPathfindingIterations(),
+      canPlaceAt: this.getPlacementTest(footprint, options.occupancy ?? null),
+      isStepBlocked: (from, to) => this.isStepBlocked(from, to, footprint),
+      getTerrainMultiplier: (offset) => this.getTerrainMultiplier(offset, options),
+      getHazardPenalty: (offset) => this.getHazardPenalty(offset, options)
+    };
+  }
+
+  /**
+   * Find every anchor cell a token can reach within a movement cost (bounded Dijkstra flood fill)
+   * Uses the same step costs, walls and occupancy rules as findPathAStar, and runs in the
+   * pathfinding worker when it can
+   * @param {Object} startOffset - Start grid offset {i, j}
+   * @param {Number} maxCost - Cost limit in grid steps
+   * @param {Object} options - Search options, as for findPathAStar
+   * @returns {Map|null} - cellKey -> {i, j, cost} with the cheapest cost to reach each anchor cell,
+   *                       or null if a newer search replaced this one
+   */
+  async findReachableCells(startOffset, maxCost, options = {}) {
+    const workerResult = await this.findReachableInWorker(startOffset, maxCost, options);
+    if (workerResult?.cancelled) return null;
+    if (workerResult) return new Map(workerResult.cells.map(cell => [`${cell.i},${cell.j}`, cell]));
+
+    return searchReachable(startOffset, maxCost, this.createSearchSpace(options));
+  }
+
+  /**
+   * Run a reachable area flood fill in its pathfinding worker
+   * Any reachable search still running is cancelled; path searches are left alone
+   * @param {Object} startOffset - Start grid offset {i, j}
+   * @param {Number} maxCost - Cost limit in grid steps
+   * @param {Object} options - Search options, as for findPathAStar
+   * @returns {Object|null} - {cells} ({cancelled: true} if replaced), or null if the worker can't run it
+   */
+  async findReachableInWorker(startOffset, maxCost, options = {}) {
+    if (!this.reachableSearch.isAvailable()) return null;
+
+    const snapshotKey = this.getGridSnapshotKey(options);
+    if (!snapshotKey) return null;
+
+    const start = performance.now();
+    const result = await this.reachableSearch.search('findReachable', snapshotKey,
+      () => this.getSearchSnapshot(snapshotKey, () => this.buildGridSnapshot(options)), {
+        start: { i: startOffset.i, j: startOffset.j },
+        maxCost,
+        footprint: options.footprint ?? { width: 1, height: 1 },
+        occupancy: Array.from(options.occupancy ?? [], ([cellKey, entry]) => [cellKey, entry.blocks])
+      });
+
+    if (result?.cells) debugLog('Worker reachable search took', Math.round(performance.now() - start), 'ms');
+    return result;
+  }
+
+  /**
+   * Check if a search may end on a cell at all
+   * @param {Object} endOffset - End grid offset {i, j}
+   * @param {Object} options - Search options, as for findPathAStar
+   * @returns {Boolean} - True if the destination is in bounds and, for final legs, unoccupied
+   */
+  isSearchDestinationValid(endOffset, options = {}) {
+    // Check if destination has any overlap with bounds (lenient check for destination)
+    if (!this.isGridOffsetWithinBounds(endOffset, true)) {
+      debugLog('A* pathfinding: destination out of bounds');
+      return false;
+    }
+
+    // A move can never end on another token (waypoints may pass over allies)
+    const footprint = options.footprint ?? { width: 1, height: 1 };
+    if (!options.intermediate && this.getFootprintOccupant(endOffset, footprint, options.occupancy ?? null)) {
+      debugLog('A* pathfinding: destination occupied');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * A* pathfinding algorithm to find path around obstacles
+   * @param {Object} startOffset - Start grid offset {i, j}
+   * @param {Object} endOffset - End grid offset {i, j}
+   * @param {Object} options - Search options
+   * @param {String} options.action - Movement action, for terrain costs
+   * @param {Number} options.elevation - Elevation of the moving token, for region tests
+   * @param {Object} options.footprint - Token size {width, height} in cells; offsets are its top-left cell
+   * @param {Map} options.occupancy - Cells occupied by other tokens, from getOccupancy
+   * @param {Boolean} options.intermediate - True for legs ending on a waypoint rather than the destination
+   * @param {String} options.hazards - Hazardous region handling: 'avoid', 'cost' or 'ignore'
+   * @returns {Array|null} - Array of grid offsets or null if no path
+   */
+  findPathAStar(startOffset, endOffset, options = {}) {
+    debugLog('A* pathfinding from', startOffset, 'to', endOffset);
+    if (!this.isSearchDestinationValid(endOffset, options)) return null;
+
+    const result = searchPath(startOffset, endOffset, this.createSearchSpace(options));
+    this.logSearchResult(result);
+    return result.path;
+  }
+
+  /**
+   * Report the outcome of a grid search
+   * @param {Object} result - Search result {path, cost, iterations, explored, limitReached}
+   */
+  logSearchResult({ path, cost, iterations, explored, limitReached }) {
+    if (path) {
+      debugLog('A* found path with', path.length, 'nodes in', iterations, 'iterations, cost', cost);
+      return;
     }
 
-    debugLog('A* pathfinding failed - no path found after', iterations, 'iterations. Explored', closedSet.size, 'cells');
-    return null; // No path found
+    if (limitReached) {
+      console.warn(`SharedControl: A* pathfinding stopped at the iteration limit (${iterations})`);
+    }
+    debugLog('A* pathfinding failed - no path found after', iterations, 'iterations. Explored', explored, 'cells');
   }
 
   /**
@@ -842,10 +2121,10 @@ export class RulerPreview {
    * @param {Object} origin - Origin position
    * @param {Object} destination - Destination position
    * @param {Number} distance - Movement distance
-   * @param {Number|null} availableMovement - Available movement
+   * @param {Object|null} budget - Movement left this turn {remaining, dashRange}, null if unlimited
    * @param {Array} gridPath - Pre-calculated grid path from A* pathfinding
    */
-  async simulateDrag(token, origin, destination, distance, availableMovement, gridPath) {
+  async simulateDrag(token, origin, destination, distance, budget, gridPath) {
     this.simulatedDragActive = true;
 
     try {
@@ -853,26 +2132,23 @@ export class RulerPreview {
 
       // Determine color based on movement range
       let color;
-      if (availableMovement === null) {
+      if (budget === null) {
         // No movement limit - use cyan
         color = 0x00CCCC;
       } else {
-        // Color-code based on movement distance
-        if (distance <= availableMovement) {
-          // Green - within movement range
-          color = 0x00FF00;
-        } else if (distance <= availableMovement * 2) {
-          // Yellow - within double movement range
-          color = 0xFFFF00;
-        } else {
-          // Red - beyond double movement range
-          color = 0xFF0000;
-        }
+        // Color of the first band the distance fits (green within the movement left this
+        // turn, yellow within dash range, or per action); red beyond them all
+        color = this.getRangeBands(budget).find(band => distance <= band.limit)?.color ?? 0xFF0000;
       }
 
+      // Actions the move takes, when movement is counted in actions
+      const actions = (budget !== null && utils.usesActionMovement())
+        ? utils.getStrideActions(distance, budget.speed)
+        : 0;
+
       debugLog('Movement color determined', {
         distance,
-        availableMovement,
+        budget,
         color: color.toString(16)
       });
 
@@ -887,23 +2163,45 @@ export class RulerPreview {
       // Use the pre-calculated path
       const gridSquares = gridPath;
       this.currentPath = gridSquares; // Store for later use during movement
+      this.currentDistance = distance;
+      this.currentActions = actions;
       debugLog('Grid squares in path:', gridSquares.length);
 
-      // Draw filled rectangles for each grid square
-      const gridSize = canvas.grid.size;
-      this.graphics.beginFill(color, 0.4); // Translucent fill
+      if (utils.isGridless()) {
+        this.drawPolylinePath(token, origin, gridSquares, color);
+      } else {
+        // Draw filled rectangles for every grid square the token's footprint covers
+        const gridSize = canvas.grid.size;
+        const footprint = utils.getTokenFootprint(token);
+        const drawn = new Set();
+        this.graphics.beginFill(color, 0.4); // Translucent fill
+
+        for (const gridPos of gridSquares) {
+          const anchor = canvas.grid.getOffset(gridPos);
+
+          for (const offset of utils.getFootprintOffsets(anchor, footprint)) {
+            const cellKey = `${offset.i},${offset.j}`;
+            if (drawn.has(cellKey)) continue; // Overlapping footprints would stack opacity
+            drawn.add(cellKey);
+
+            // Draw filled rectangle for this grid square
+            const topLeft = canvas.grid.getTopLeftPoint(offset);
+            this.graphics.drawRect(topLeft.x, topLeft.y, gridSize, gridSize);
+          }
+        }
 
-      for (const gridPos of gridSquares) {
-        // Get top-left corner of this grid square
-        const offset = canvas.grid.getOffset(gridPos);
-        const topLeft = canvas.grid.getTopLeftPoint(offset);
+        this.graphics.endFill();
 
-        // Draw filled rectangle for this grid square
-        this.graphics.drawRect(topLeft.x, topLeft.y, gridSize, gridSize);
+        // Outline the token's final footprint
+        if (gridSquares.length > 0 && (footprint.width > 1 || footprint.height > 1)) {
+          const finalAnchor = canvas.grid.getOffset(gridSquares[gridSquares.length - 1]);
+          const topLeft = canvas.grid.getTopLeftPoint(finalAnchor);
+          this.graphics.lineStyle(3, color, 0.9);
+          this.graphics.drawRect(topLeft.x, topLeft.y, footprint.width * gridSize, footprint.height * gridSize);
+          this.graphics.lineStyle(0);
+        }
       }
 
-      this.graphics.endFill();
-
       // Add distance text at midpoint of the path
       const midX = (origin.x + destination.x) / 2;
       const midY = (origin.y + destination.y) / 2;
@@ -920,12 +2218,15 @@ export class RulerPreview {
       }
 
       const units = canvas.grid.units || 'units';
-      this.distanceText.text = `${Math.round(distance)} ${units}`;
+      this.distanceText.text = actions
+        ? `${Math.round(distance)} ${units} · ${utils.formatActions(actions)}`
+        : `${Math.round(distance)} ${units}`;
       this.distanceText.x = midX - (this.distanceText.width / 2);
       this.distanceText.y = midY - (this.distanceText.height / 2);
       this.distanceText.visible = true;
 
       debugLog('Path overlay drawn with color-coding and distance text');
+      this.movementHud.update();
 
     } catch (error) {
       console.error('SharedControl: Error drawing path', error);
@@ -935,27 +2236,26 @@ export class RulerPreview {
 
   /**
    * Confirm and execute the movement
+   * With the stop on reveal rule the token moves one step at a time and halts where a hostile
+   * token it could not see before comes into view
+   * @returns {Object|null} - What was moved {distance, actions, stopped, path}, or null without a preview
    */
   async confirmMovement() {
     if (!this.activeToken || !this.targetDestination) {
       console.warn('SharedControl: No active preview to confirm');
-      return;
+      return null;
     }
 
     const token = this.activeToken;
+    const start = { x: token.document.x, y: token.document.y };
 
-    // Calculate distance for chat message
-    const origin = utils.getGridPosition(token.x, token.y);
-    const destCenter = utils.getGridPosition(this.targetDestination.x, this.targetDestination.y);
-    const distance = utils.calculateDistance(origin, destCenter);
-    const units = canvas.grid.units || 'units';
+    // Use the previewed path distance (includes detours and terrain) for the chat message
+    let distance = this.currentDistance;
+    let actions = this.currentActions;
 
-    // Use getTokenPosition (top-left) for actual token placement
+    // Use the top-left for actual token placement
     // since token x,y represents the top-left corner
-    const destination = utils.getTokenPosition(
-      this.targetDestination.x,
-      this.targetDestination.y
-    );
+    const destination = this.getTokenPlacement(token, this.targetDestination);
 
     try {
       // Clear path highlighting before movement starts
@@ -966,77 +2266,64 @@ export class RulerPreview {
         this.distanceText.visible = false;
       }
 
-      // Animate token through each waypoint in the path
+      // The whole path is normally submitted as one movement, so core records a single move in
+      // the token's movement history and fires the movement hooks and region events along the way
+      let waypoints;
       if (this.currentPath && this.currentPath.length > 0) {
-        debugLog('Animating through path with', this.currentPath.length, 'waypoints');
-
-        // Get animation speed from settings
-        const animationSpeed = game.settings.get('shared-control', 'animationSpeed');
-
-        for (let i = 0; i < this.currentPath.length; i++) {
-          const waypoint = this.currentPath[i];
-
-          // Convert waypoint center to top-left position for token placement
-          const waypointTopLeft = utils.getTokenPosition(waypoint.x, waypoint.y);
-
-          // Move to this waypoint with animation
-          await token.document.update(
-            { x: waypointTopLeft.x, y: waypointTopLeft.y },
-            {
-              animate: true,
-              animation: {
-                duration: animationSpeed,
-                easing: 'linear'
-              }
-            }
-          );
-
-          // Small delay to ensure animation completes
-          await new Promise(resolve => setTimeout(resolve, animationSpeed));
-        }
+        debugLog('Moving along path with', this.currentPath.length, 'waypoints');
+        waypoints = this.currentPath.map(waypoint => this.getTokenPlacement(token, waypoint));
+      } else if (this.pendingDoor) {
+        // Already standing at the door - nothing to move, the door is opened next
+        debugLog('Token already at door, skipping movement');
+        return { distance: 0, actions: 0, stopped: false, path: [] };
       } else {
         // Fallback: direct movement if no path calculated
-        await token.document.update(
-          { x: destination.x, y: destination.y },
-          {
-            animate: true,
-            animation: {
-              movementSpeed: 10,
-              easing: 'linear'
-            }
-          }
-        );
+        waypoints = [destination];
       }
 
-      // Send chat message about the movement with cost info
-      const roundedDistance = Math.round(distance);
-      const availableMovement = utils.getAvailableMovement(token);
+      const moveOptions = this.getMoveOptions();
 
-      let chatMessage = `<strong>${token.name}</strong> moved <strong>${roundedDistance} ${units}</strong>`;
+      let stopped = false;
+      let traveled = this.currentPath.length > 0 ? this.currentPath : [this.targetDestination];
+      if (game.settings.get('shared-control', 'stopOnReveal')) {
+        const watch = this.watchForReveal(token, start, waypoints);
+        try {
+          await this.moveAlongWaypoints(token, waypoints, moveOptions);
+        } finally {
+          watch.stop();
+        }
+        await watch.halt;
 
-      // Add movement cost info if tracking is enabled and we have movement data
-      if (availableMovement !== null) {
-        const movementUsedPercent = Math.round((distance / availableMovement) * 100);
-        const remaining = Math.max(0, availableMovement - distance);
+        if (watch.revealed.length > 0) {
+          // The token may come to rest past the cell it saw the creatures from; put it back there
+          const halt = waypoints[watch.reached];
+          if (Math.hypot(token.document.x - halt.x, token.document.y - halt.y) >= 1) {
+            await this.moveAlongWaypoints(token, [halt], moveOptions);
+          }
 
-        if (distance <= availableMovement) {
-          chatMessage += ` <span style="color: #00aa00;">(${Math.round(remaining)} ${units} remaining)</span>`;
-        } else if (distance <= availableMovement * 2) {
-          const extraUsed = Math.round(distance - availableMovement);
-          chatMessage += ` <span style="color: #aaaa00;">(used ${extraUsed} ${units} extra movement)</span>`;
-        } else {
-          const extraUsed = Math.round(distance - availableMovement);
-          chatMessage += ` <span style="color: #aa0000;">(exceeded by ${extraUsed} ${units})</span>`;
+          // Only the path up to that cell is spent
+          stopped = true;
+          traveled = this.currentPath.slice(0, watch.reached + 1);
+          distance = this.measureTraveledCost(token, start, traveled);
+          const budget = this.getMovementBudget(token);
+          actions = (budget !== null && utils.usesActionMovement())
+            ? utils.getStrideActions(distance, budget.speed)
+            : 0;
+
+          debugLog('Movement stopped after', traveled.length, 'steps, revealed', watch.revealed.map(other => other.name));
+          ui.notifications.warn(game.i18n.format('shared-control.notifications.stoppedOnReveal', {
+            name: token.name,
+            names: watch.revealed.map(other => other.name).join(', ')
+          }));
         }
+      } else {
+        await this.moveAlongWaypoints(token, waypoints, moveOptions);
       }
 
-      ChatMessage.create({
-        content: chatMessage,
-        speaker: ChatMessage.getSpeaker({ token: token.document }),
-        style: CONST.CHAT_MESSAGE_STYLES.EMOTE
-      });
+      await this.reportMovement(token, distance, actions);
 
       debugLog('Movement confirmed and executed');
+      return { distance, actions, stopped, path: traveled };
 
     } catch (error) {
       console.error('SharedControl: Error executing movement', error);
@@ -1048,6 +2335,151 @@ export class RulerPreview {
     }
   }
 
+  /**
+   * Get the options confirmed moves are submitted with
+   * @returns {Object} - Movement options for TokenDocument#move
+   */
+  getMoveOptions() {
+    // The setting is milliseconds per grid space; core animates in grid spaces per second
+    const animationSpeed = game.settings.get('shared-control', 'animationSpeed');
+    return {
+      animation: { movementSpeed: 1000 / animationSpeed, easing: 'linear' }
+    };
+  }
+
+  /**
+   * Announce a finished move in chat and count it against the token's movement this turn
+   * @param {Token} token - The token that moved
+   * @param {Number} distance - Movement cost in scene units
+   * @param {Number} actions - Actions the move took, when movement is counted in actions
+   */
+  async reportMovement(token, distance, actions) {
+    // Send chat message about the movement with cost info, against the movement left before it
+    const chatMessage = getSystemAdapter().formatChatMessage({
+      token,
+      distance,
+      units: canvas.grid.units || 'units',
+      modeLabel: this.movementMode !== 'walk' ? this.movementHud.getModeLabel(this.movementMode) : null,
+      budget: this.getMovementBudget(token),
+      actions
+    });
+
+    ChatMessage.create({
+      content: chatMessage,
+      speaker: ChatMessage.getSpeaker({ token: token.document }),
+      style: CONST.CHAT_MESSAGE_STYLES.EMOTE
+    });
+
+    // Count the move against the combatant's movement for this turn
+    await game.sharedControl?.movementBudget?.spend(token, distance, actions);
+  }
+
+  /**
+   * Move a token through waypoints as one movement and wait for its animation
+   * @param {Token} token - The token
+   * @param {Array} waypoints - Top-left positions {x, y}
+   * @param {Object} options - Movement options for TokenDocument#move
+   */
+  async moveAlongWaypoints(token, waypoints, options) {
+    const moved = await token.document.move(
+      waypoints.map(({ x, y }) => ({ x, y, action: this.movementMode })),
+      options
+    );
+
+    // A preMoveToken hook or core's movement checks may refuse the move
+    if (moved === false) {
+      throw new Error(`Movement of ${token.name} was prevented`);
+    }
+
+    // Wait for the animation so the token is idle before it can be selected again
+    await token.movementAnimationPromise;
+  }
+
+  /**
+   * Stop a token's movement in the first cell it enters from which a new hostile token is seen
+   * @param {Token} token - The token about to move
+   * @param {Object} start - Top-left position the token starts from {x, y}
+   * @param {Array} waypoints - Top-left positions {x, y} of the cells it moves through
+   * @returns {Object} - Watch {revealed, reached, halt, stop}: the hostiles that halted it, the index
+   *   of the waypoint it halted at, the pending stop and a function ending the watch
+   */
+  watchForReveal(token, start, waypoints) {
+    const seen = this.getVisibleHostiles(token);
+    const watch = { revealed: [], reached: -1, halt: null, stop: null };
+
+    // The animation refreshes the token every frame; test once each time it fully enters the next cell
+    const hookId = Hooks.on('refreshToken', (refreshed) => {
+      if (refreshed !== token || watch.halt) return;
+
+      while (watch.reached < waypoints.length - 2) {
+        const from = waypoints[watch.reached] ?? start;
+        const to = waypoints[watch.reached + 1];
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        const progress = ((token.x - from.x) * (to.x - from.x) + (token.y - from.y) * (to.y - from.y)) / (length || 1);
+        if (progress < length - 1) return;
+        watch.reached++;
+
+        const revealed = [...this.getVisibleHostiles(token)].filter(other => !seen.has(other));
+        if (revealed.length === 0) continue;
+
+        watch.revealed = revealed;
+        debugLog('Hostiles revealed at step', watch.reached + 1, 'stopping', token.name);
+        watch.halt = this.haltMovement(token);
+        return;
+      }
+    });
+
+    watch.stop = () => Hooks.off('refreshToken', hookId);
+    return watch;
+  }
+
+  /**
+   * Stop a token's movement in progress
+   * @param {Token} token - The moving token
+   */
+  async haltMovement(token) {
+    try {
+      await token.document.stopMovement();
+    } catch (error) {
+      console.warn('SharedControl: Could not stop movement', error);
+    }
+  }
+
+  /**
+   * Get the hostile tokens the current user can see from where a token now stands
+   * @param {Token} token - The moving token
+   * @returns {Set} - Visible hostile tokens
+   */
+  getVisibleHostiles(token) {
+    // Vision follows the token during its animation; bring it up to date before testing
+    canvas.perception?.update({ initializeVision: true });
+    canvas.perception?.applyRenderFlags?.();
+
+    return new Set((canvas.tokens?.placeables ?? []).filter(other => other !== token &&
+      utils.isHostileTo(token, other) && !other.document.hidden && (other.isVisible ?? other.visible)));
+  }
+
+  /**
+   * Measure the cost of the part of a path a token has already traveled
+   * @param {Token} token - The token
+   * @param {Object} start - Top-left position the token started from {x, y}
+   * @param {Array} path - Path points {x, y} traveled, excluding the origin
+   * @returns {Number} - Cost in scene units
+   */
+  measureTraveledCost(token, start, path) {
+    let cost = this.measureSystemCost(token, path, start);
+    if (cost === null) {
+      cost = utils.isGridless()
+        ? this.measurePolylineDistance({ x: start.x + (token.w / 2), y: start.y + (token.h / 2) }, path)
+        : this.measurePathDistance(utils.getGridPosition(start.x, start.y), path, {
+          action: this.movementMode,
+          elevation: token.document?.elevation ?? 0,
+          footprint: utils.getTokenFootprint(token)
+        });
+    }
+    return cost * utils.getMovementCostMultiplier(token, this.movementMode);
+  }
+
   /**
    * Clear the current preview
    */
@@ -1073,11 +2505,21 @@ export class RulerPreview {
       this.distanceText.visible = false;
     }
 
+    // Drop any search still running for this preview
+    this.previewRequest++;
+    this.previewPending = false;
+    this.pathfinder.cancel();
+
     // Reset state
     this.activeToken = null;
     this.targetDestination = null;
     this.simulatedDragActive = false;
     this.currentPath = [];
+    this.currentDistance = 0;
+    this.currentActions = 0;
+    this.pendingDoor = null;
+    this.provocations = [];
+    this.movementHud?.update();
   }
 
   /**
@@ -1094,6 +2536,10 @@ export class RulerPreview {
     this.clearPreview();
     this.clearDebugView();
     this.clearSelectionHighlight();
+    this.movementHud.destroy();
+    this.groupPreview.destroy();
+    this.pathfinder.destroy();
+    this.reachableSearch.destroy();
 
     // Destroy graphics object
     if (this.graphics) {
@@ -56,6 +56,101 @@ export function registerSettings() {
     default: true
   });
 
+  // World setting: Count Pathfinder 2e movement in Stride actions (only listed in pf2e worlds)
+  game.settings.register('shared-control', 'pf2eActionMovement', {
+    name: game.i18n.localize('shared-control.settings.pf2eActionMovement.name'),
+    hint: game.i18n.localize('shared-control.settings.pf2eActionMovement.hint'),
+    scope: 'world',
+    config: game.system.id === 'pf2e',
+    type: Boolean,
+    default: true
+  });
+
+  // User setting: Shade the reachable area when a token is selected
+  game.settings.register('shared-control', 'showReachableArea', {
+    name: game.i18n.localize('shared-control.settings.showReachableArea.name'),
+    hint: game.i18n.localize('shared-control.settings.showReachableArea.hint'),
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // User setting: How pathfinding treats hazardous regions (damage, teleport and trigger behaviors)
+  game.settings.register('shared-control', 'hazardRouting', {
+    name: game.i18n.localize('shared-control.settings.hazardRouting.name'),
+    hint: game.i18n.localize('shared-control.settings.hazardRouting.hint'),
+    scope: 'client',
+    config: true,
+    type: String,
+    default: 'cost',
+    choices: {
+      avoid: game.i18n.localize('shared-control.settings.hazardRouting.avoid'),
+      cost: game.i18n.localize('shared-control.settings.hazardRouting.cost'),
+      ignore: game.i18n.localize('shared-control.settings.hazardRouting.ignore')
+    }
+  });
+
+  // World setting: Warn when a previewed path provokes opportunity attacks
+  game.settings.register('shared-control', 'opportunityAttackWarnings', {
+    name: game.i18n.localize('shared-control.settings.opportunityAttackWarnings.name'),
+    hint: game.i18n.localize('shared-control.settings.opportunityAttackWarnings.hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // World setting: Halt movement where a hidden hostile comes into view
+  game.settings.register('shared-control', 'stopOnReveal', {
+    name: game.i18n.localize('shared-control.settings.stopOnReveal.name'),
+    hint: game.i18n.localize('shared-control.settings.stopOnReveal.hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // World setting: Player moves wait for the GM's approval
+  game.settings.register('shared-control', 'gmApproval', {
+    name: game.i18n.localize('shared-control.settings.gmApproval.name'),
+    hint: game.i18n.localize('shared-control.settings.gmApproval.hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // World setting: Other tokens block or restrict pathfinding
+  game.settings.register('shared-control', 'tokenCollision', {
+    name: game.i18n.localize('shared-control.settings.tokenCollision.name'),
+    hint: game.i18n.localize('shared-control.settings.tokenCollision.hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // World setting: Hostile tokens of a larger size can be moved through
+  game.settings.register('shared-control', 'moveThroughLargerTokens', {
+    name: game.i18n.localize('shared-control.settings.moveThroughLargerTokens.name'),
+    hint: game.i18n.localize('shared-control.settings.moveThroughLargerTokens.hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // World setting: Players may route through (and open) closed doors
+  game.settings.register('shared-control', 'playersOpenDoors', {
+    name: game.i18n.localize('shared-control.settings.playersOpenDoors.name'),
+    hint: game.i18n.localize('shared-control.settings.playersOpenDoors.hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   // World setting: Animation speed
   game.settings.register('shared-control', 'animationSpeed', {
     name: game.i18n.localize('shared-control.settings.animationSpeed.name'),
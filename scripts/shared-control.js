@@ -7,12 +7,19 @@
  */
 
 import { registerSettings } from './settings.js';
+import { registerRegionBehaviors } from './region-behaviors.js';
 import { MovementStateMachine } from './state-machine.js';
 import { RulerPreview } from './ruler-preview.js';
 import { TouchWorkflowHandler } from './touch-workflow.js';
 import { OverlayControls } from './overlay-controls.js';
+import { NavigationGraph } from './navigation-graph.js';
+import { MovementHistory } from './movement-history.js';
+import { MovementBudget } from './movement-budget.js';
+import { MarchingOrder } from './marching-order.js';
+import { ApprovalQueue } from './approval-queue.js';
+import { registerSystemAdapter } from './system-adapters.js';
 import { checkCompatibility } from './compat.js';
-import { debugLog } from './utils.js';
+import { canMoveToken, debugLog } from './utils.js';
 
 /**
  * Module namespace
@@ -23,6 +30,11 @@ class SharedControl {
     this.rulerPreview = null;
     this.touchWorkflow = null;
     this.overlayControls = null;
+    this.navigationGraph = null;
+    this.movementHistory = null;
+    this.movementBudget = null;
+    this.marchingOrder = null;
+    this.approvalQueue = null;
   }
 
   /**
@@ -43,8 +55,18 @@ class SharedControl {
 
       // Create core components
       debugLog('Creating core components');
+      this.navigationGraph = new NavigationGraph();
+      this.navigationGraph.initialize();
+      this.movementHistory = new MovementHistory();
+      this.movementHistory.initialize();
+      this.movementBudget = new MovementBudget();
+      this.movementBudget.initialize();
+      this.marchingOrder = new MarchingOrder();
+      this.marchingOrder.initialize();
+      this.approvalQueue = new ApprovalQueue();
+      this.approvalQueue.initialize();
       this.stateMachine = new MovementStateMachine();
-      this.rulerPreview = new RulerPreview();
+      this.rulerPreview = new RulerPreview(this.navigationGraph);
       this.touchWorkflow = new TouchWorkflowHandler(this.stateMachine, this.rulerPreview);
 
       // Initialize touch workflow
@@ -91,6 +113,19 @@ class SharedControl {
     debugLog('Broadcast pan:', panData);
   }
 
+  /**
+   * Register the movement adapter for a game system
+   * Available from the init hook, even while the module is disabled
+   * @param {String} systemId - Game system ID (e.g. 'dnd5e')
+   * @param {Object} adapter - Adapter methods {getSpeed, getDiagonalRule, getConditionModifiers, usesActions, formatChatMessage}
+   * @returns {Boolean} - True if registered
+   */
+  registerSystemAdapter(systemId, adapter) {
+    const registered = registerSystemAdapter(systemId, adapter);
+    if (registered) debugLog('Registered system adapter for', systemId);
+    return registered;
+  }
+
   /**
    * Setup when canvas is ready
    */
@@ -135,6 +170,31 @@ class SharedControl {
       this.rulerPreview.destroy();
       this.rulerPreview = null;
     }
+
+    if (this.navigationGraph) {
+      this.navigationGraph.destroy();
+      this.navigationGraph = null;
+    }
+
+    if (this.movementHistory) {
+      this.movementHistory.destroy();
+      this.movementHistory = null;
+    }
+
+    if (this.movementBudget) {
+      this.movementBudget.destroy();
+      this.movementBudget = null;
+    }
+
+    if (this.marchingOrder) {
+      this.marchingOrder.destroy();
+      this.marchingOrder = null;
+    }
+
+    if (this.approvalQueue) {
+      this.approvalQueue.destroy();
+      this.approvalQueue = null;
+    }
   }
 }
 
@@ -147,6 +207,9 @@ Hooks.once('init', async () => {
   // Register module settings
   registerSettings();
 
+  // Register region behavior types (difficult terrain)
+  registerRegionBehaviors();
+
   // Create global module instance
   game.sharedControl = new SharedControl();
 
@@ -175,8 +238,18 @@ function wrapTokenMethodsEarly() {
 
     debugLog('Token tap, current state:', currentState, 'token:', token.name);
 
-    // If we're in AWAITING_DESTINATION or PREVIEWING_PATH
-    if (currentState === 'AWAITING_DESTINATION' || currentState === 'PREVIEWING_PATH') {
+    // While the GM decides, only the waiting token reacts: tapping it withdraws the request
+    if (currentState === 'AWAITING_APPROVAL') {
+      if (stateMachine.selectedToken?.id === token.id) {
+        debugLog('Waiting token re-tapped, withdrawing approval request');
+        stateMachine.cancelMovement(rulerPreview);
+      }
+      return false;
+    }
+
+    // If we're in AWAITING_DESTINATION, PREVIEWING_PATH or AWAITING_DOOR
+    if (currentState === 'AWAITING_DESTINATION' || currentState === 'PREVIEWING_PATH' ||
+        currentState === 'AWAITING_DOOR') {
       const selectedToken = stateMachine.selectedToken;
 
       // If user taps the SAME token that's selected, cancel the movement
@@ -186,6 +259,13 @@ function wrapTokenMethodsEarly() {
         return false; // Prevent default behavior
       }
 
+      // In group mode, another token joins (or leaves) the group moving with the selected one
+      if (stateMachine.groupMode && currentState !== 'AWAITING_DOOR' && canMoveToken(token)) {
+        debugLog('Group mode, toggling group member:', token.name);
+        stateMachine.toggleGroupMember(token, rulerPreview);
+        return false;
+      }
+
       // If user taps a DIFFERENT token, cancel current workflow and select new token
       debugLog('Different token tapped, switching to new token:', token.name);
       stateMachine.cancelMovement(rulerPreview);
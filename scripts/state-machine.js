@@ -11,6 +11,8 @@ export const States = {
   AWAITING_DESTINATION: 'AWAITING_DESTINATION',
   PREVIEWING_PATH: 'PREVIEWING_PATH',
   EXECUTING_MOVEMENT: 'EXECUTING_MOVEMENT',
+  AWAITING_DOOR: 'AWAITING_DOOR',
+  AWAITING_APPROVAL: 'AWAITING_APPROVAL',
   ERROR: 'ERROR'
 };
 
@@ -22,6 +24,13 @@ export class MovementStateMachine {
     this.lastTapPosition = null;
     this.lastTapTime = 0;
     this.errorTimeout = null;
+    this.pendingDoor = null; // Door the token stopped at {wallId, destination, waypoints}
+    this.waypoints = []; // Intermediate positions {x, y} the previewed path must visit
+    this.waypointMode = false; // When true, every new tap appends a waypoint
+    this.pinDestination = false; // When true, the next new tap keeps the current destination as a waypoint
+    this.groupMode = false; // When true, tapping another token adds it to the moving group
+    this.groupTokens = []; // Other tokens moving with the selected one, in the order they were added
+    this.approvalRequest = null; // Request waiting for the GM {tokenId, requestId}
     this._processingSelection = false;
   }
 
@@ -67,6 +76,32 @@ export class MovementStateMachine {
    * @returns {Boolean} - True if selection successful
    */
   async _selectTokenInner(token, rulerPreview) {
+    if (!this.canTakeToken(token)) return false;
+
+    // Control the token
+    token.control({ releaseOthers: true });
+    await this.lockToken(token);
+
+    // Show visual highlight
+    if (rulerPreview) {
+      rulerPreview.setMovementMode(rulerPreview.getDefaultMovementMode(token));
+      rulerPreview.showSelectionHighlight(token);
+    }
+
+    this.selectedToken = token;
+    this.currentState = States.AWAITING_DESTINATION;
+    this.previewDestination = null;
+
+    debugLog('Token selected, awaiting destination');
+    return true;
+  }
+
+  /**
+   * Check if the current user may take a token to move it, explaining why not
+   * @param {Token} token - The token
+   * @returns {Boolean} - True if the token can be selected
+   */
+  canTakeToken(token) {
     // Validate permissions
     if (!utils.canMoveToken(token)) {
       ui.notifications.warn(game.i18n.localize('shared-control.notifications.noPermission'));
@@ -97,34 +132,131 @@ export class MovementStateMachine {
       }
     }
 
-    // Control the token
-    token.control({ releaseOthers: true });
+    // A token its conditions leave with no speed has nowhere to go (GM can still reposition it)
+    const immobileReasons = utils.getImmobileReasons(token);
+    if (immobileReasons) {
+      const message = game.i18n.format('shared-control.notifications.cannotMove', {
+        name: token.name,
+        reasons: immobileReasons.join(', ') || game.i18n.localize('shared-control.conditions.noSpeed')
+      });
+      debugLog('Token cannot move:', immobileReasons);
+      if (!game.user.isGM) {
+        ui.notifications.warn(message);
+        return false;
+      }
+      ui.notifications.info(message);
+    }
 
+    return true;
+  }
+
+  /**
+   * Lock a token to the current user
+   * @param {Token} token - The token
+   */
+  async lockToken(token) {
     // Lock the token using document flag (syncs automatically to all clients)
     await token.document.setFlag('shared-control', 'lockedBy', {
       userId: game.user.id,
       timestamp: Date.now()
     });
     debugLog('Token locked via flag');
+  }
 
-    // Show visual highlight
-    if (rulerPreview) {
-      rulerPreview.showSelectionHighlight(token);
+  /**
+   * Unlock a token, unless another user has since taken the lock
+   * @param {Token} token - The token
+   */
+  async unlockToken(token) {
+    try {
+      const lockData = token.document.getFlag('shared-control', 'lockedBy');
+      // Only clear if we own the lock (don't clear someone else's lock)
+      if (lockData?.userId === game.user.id) {
+        await token.document.unsetFlag('shared-control', 'lockedBy');
+        debugLog('Token unlocked via flag');
+      } else {
+        debugLog('Lock owned by another user, not clearing');
+      }
+    } catch (e) {
+      console.warn('SharedControl: Could not clear lock flag', e);
     }
+  }
 
-    this.selectedToken = token;
-    this.currentState = States.AWAITING_DESTINATION;
-    this.previewDestination = null;
+  /**
+   * Toggle group mode
+   * Turning it off sends the rest of the group back, leaving the selected token to move alone
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   * @returns {Boolean} - The new group mode state
+   */
+  async toggleGroupMode(rulerPreview) {
+    this.groupMode = !this.groupMode;
+    debugLog('Group mode', this.groupMode ? 'enabled' : 'disabled');
 
-    debugLog('Token selected, awaiting destination');
+    if (!this.groupMode && this.groupTokens.length > 0) {
+      await this.disbandGroup(rulerPreview);
+      await this.refreshGroupPreview(rulerPreview);
+    }
+    return this.groupMode;
+  }
+
+  /**
+   * Add a token to the moving group, or take it out again if it is already in it
+   * @param {Token} token - The tapped token
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   * @returns {Boolean} - True if the group changed
+   */
+  async toggleGroupMember(token, rulerPreview) {
+    if (!this.selectedToken || token.id === this.selectedToken.id) return false;
+
+    const index = this.groupTokens.findIndex(member => member.id === token.id);
+    if (index >= 0) {
+      this.groupTokens.splice(index, 1);
+      token.release();
+      await this.unlockToken(token);
+      debugLog('Removed', token.name, 'from the group');
+    } else {
+      if (!this.canTakeToken(token)) return false;
+      token.control({ releaseOthers: false });
+      await this.lockToken(token);
+      this.groupTokens.push(token);
+      debugLog('Added', token.name, 'to the group');
+    }
+
+    rulerPreview.groupPreview.setMembers(this.selectedToken, this.groupTokens);
+    await this.refreshGroupPreview(rulerPreview);
     return true;
   }
 
+  /**
+   * Release and unlock every token moving with the selected one
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   */
+  async disbandGroup(rulerPreview) {
+    const members = this.groupTokens;
+    this.groupTokens = [];
+    rulerPreview?.groupPreview.clear();
+
+    for (const token of members) {
+      token.release();
+      await this.unlockToken(token);
+    }
+  }
+
+  /**
+   * Re-plan the current preview after the group changed
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   */
+  async refreshGroupPreview(rulerPreview) {
+    rulerPreview.movementHud?.update();
+    if (this.currentState !== States.PREVIEWING_PATH || !this.previewDestination) return;
+    await this.previewMovement(this.previewDestination, rulerPreview);
+  }
+
   /**
    * Preview movement to a destination
    * @param {Object} destination - Destination position {x, y}
    * @param {RulerPreview} rulerPreview - The ruler preview handler
-   * @returns {Boolean} - True if preview successful
+   * @returns {Boolean|null} - True if preview successful, null if a newer preview replaced it
    */
   async previewMovement(destination, rulerPreview) {
     debugLog('previewMovement called', {
@@ -162,15 +294,109 @@ export class MovementStateMachine {
 
     try {
       // Show ruler preview via simulated drag
-      await rulerPreview.showPreview(this.selectedToken, destination);
+      const shown = await rulerPreview.showPreview(this.selectedToken, destination, this.waypoints);
       debugLog('Previewing movement to', destination);
-      return true;
+
+      // The rest of the group follows the leader's path into formation
+      if (shown !== true) {
+        if (shown === false) rulerPreview.groupPreview.clearPlans();
+        return shown;
+      }
+      if (this.groupTokens.length > 0) {
+        const planned = await rulerPreview.groupPreview.show();
+        if (planned === false) rulerPreview.clearPreview();
+        return planned;
+      }
+      return shown;
     } catch (error) {
       console.error('SharedControl: Error showing preview:', error);
       return false;
     }
   }
 
+  /**
+   * Extend the route to a new tap position
+   * The current destination becomes a waypoint if waypoint mode is on or it was pinned
+   * @param {Object} destination - Tapped position {x, y}
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   * @returns {Boolean|null} - True if preview successful, null if a newer preview replaced it
+   */
+  async addWaypoint(destination, rulerPreview) {
+    let waypoint = null;
+    if (this.currentState === States.PREVIEWING_PATH && this.previewDestination &&
+        (this.waypointMode || this.pinDestination)) {
+      waypoint = this.previewDestination;
+      this.waypoints.push(waypoint);
+      debugLog('Waypoint added', waypoint, '- route has', this.waypoints.length, 'waypoints');
+    }
+    this.pinDestination = false;
+
+    const shown = await this.previewMovement(destination, rulerPreview);
+
+    // An unreachable tap must not discard the route built so far
+    // (a preview replaced by a newer tap reports null and is left alone)
+    if (shown === false && waypoint) {
+      debugLog('New leg unreachable, restoring previous route');
+      this.waypoints.pop();
+      await this.previewMovement(waypoint, rulerPreview);
+    }
+    return shown;
+  }
+
+  /**
+   * Keep the current destination as a waypoint; the next tap starts a new leg from it
+   * @returns {Boolean} - True if the destination was pinned
+   */
+  pinWaypoint() {
+    if (this.currentState !== States.PREVIEWING_PATH || !this.previewDestination) {
+      debugLog('No destination to pin as a waypoint');
+      return false;
+    }
+
+    this.pinDestination = true;
+    debugLog('Destination pinned as waypoint');
+    return true;
+  }
+
+  /**
+   * Remove the most recent waypoint (the current destination) and preview the rest of the route
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   * @returns {Boolean} - True if a waypoint was removed
+   */
+  async removeWaypoint(rulerPreview) {
+    if (this.currentState !== States.PREVIEWING_PATH || !this.previewDestination) {
+      debugLog('No waypoint to remove');
+      return false;
+    }
+
+    this.pinDestination = false;
+
+    // Removing the only point goes back to choosing a destination
+    if (this.waypoints.length === 0) {
+      rulerPreview.clearPreview();
+      this.previewDestination = null;
+      this.lastTapPosition = null;
+      this.currentState = States.AWAITING_DESTINATION;
+      debugLog('Last waypoint removed, awaiting destination');
+      return true;
+    }
+
+    const previous = this.waypoints.pop();
+    debugLog('Waypoint removed, route has', this.waypoints.length, 'waypoints');
+    await this.previewMovement(previous, rulerPreview);
+    return true;
+  }
+
+  /**
+   * Toggle waypoint mode
+   * @returns {Boolean} - The new waypoint mode state
+   */
+  toggleWaypointMode() {
+    this.waypointMode = !this.waypointMode;
+    debugLog('Waypoint mode', this.waypointMode ? 'enabled' : 'disabled');
+    return this.waypointMode;
+  }
+
   /**
    * Confirm and execute the movement
    * @param {RulerPreview} rulerPreview - The ruler preview handler
@@ -187,12 +413,144 @@ export class MovementStateMachine {
       return false;
     }
 
+    // The path for the latest tap is still being searched
+    if (rulerPreview.previewPending) {
+      debugLog('Preview still searching, ignoring confirmation');
+      return false;
+    }
+
+    // With GM approval required, the path goes to the GM instead of being executed
+    if (game.sharedControl?.approvalQueue?.isRequired()) {
+      return this.requestApproval(rulerPreview);
+    }
+
+    return this.executeMovement(rulerPreview);
+  }
+
+  /**
+   * Send the previewed path to the GM and wait for an answer
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   * @returns {Boolean} - True if the request was sent
+   */
+  async requestApproval(rulerPreview) {
+    if (!game.users.activeGM) {
+      ui.notifications.warn(game.i18n.localize('shared-control.notifications.approvalNoGM'));
+      return false;
+    }
+
+    const queue = game.sharedControl.approvalQueue;
+    const token = this.selectedToken;
+    this.currentState = States.AWAITING_APPROVAL;
+
+    // The marching order follows an approved move, so the GM sees the followers' paths too
+    let followers = [];
+    const marchingOrder = game.sharedControl.marchingOrder;
+    if (this.groupTokens.length === 0 && marchingOrder) {
+      const origin = { x: token.document.x, y: token.document.y };
+      followers = await marchingOrder.planFollowers(token, origin, rulerPreview.currentPath, rulerPreview);
+      if (this.currentState !== States.AWAITING_APPROVAL || this.selectedToken !== token) return false;
+    }
+    const request = queue.createRequest(token, rulerPreview, followers);
+
+    // Known before the request is written, so an answer can never arrive unrecognized
+    this.approvalRequest = { tokenId: token.id, requestId: request.requestId };
+
+    try {
+      await queue.submit(token, request);
+    } catch (error) {
+      console.error('SharedControl: Error requesting approval', error);
+      this.approvalRequest = null;
+      this.currentState = States.PREVIEWING_PATH;
+      return false;
+    }
+
+    ui.notifications.info(game.i18n.localize('shared-control.notifications.awaitingApproval'));
+    rulerPreview.movementHud?.update();
+    debugLog('Awaiting GM approval for', token.name);
+    return true;
+  }
+
+  /**
+   * Carry out the GM's answer to the pending request
+   * @param {Boolean} approved - True if the GM approved the move
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   * @returns {Boolean} - True if movement executed
+   */
+  async resolveApproval(approved, rulerPreview) {
+    if (this.currentState !== States.AWAITING_APPROVAL || !this.selectedToken) return false;
+
+    this.approvalRequest = null;
+    await game.sharedControl?.approvalQueue?.withdraw(this.selectedToken);
+
+    if (!approved) {
+      debugLog('Move rejected by the GM');
+      ui.notifications.warn(game.i18n.localize('shared-control.notifications.moveRejected'));
+      this.cancelMovement(rulerPreview);
+      return false;
+    }
+
+    debugLog('Move approved by the GM');
+    this.currentState = States.PREVIEWING_PATH;
+    return this.executeMovement(rulerPreview);
+  }
+
+  /**
+   * Execute the previewed movement
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   * @returns {Boolean} - True if movement executed
+   */
+  async executeMovement(rulerPreview) {
     // Transition to executing state
     this.currentState = States.EXECUTING_MOVEMENT;
 
+    // Captured before confirming, since confirming clears the preview
+    const pendingDoor = rulerPreview.pendingDoor;
+    const token = this.selectedToken;
+    const origin = { x: token.document.x, y: token.document.y, elevation: token.document.elevation };
+    const distance = rulerPreview.currentDistance;
+    const actions = rulerPreview.currentActions;
+    const group = rulerPreview.groupPreview;
+
     try {
-      // Execute the movement via ruler preview
-      await rulerPreview.confirmMovement();
+      // Execute the movement via ruler preview (a move halted early reports what it spent).
+      // The group moves alongside the leader, except when the leader may halt on the way:
+      // then it only follows once the leader has arrived
+      let moved;
+      let groupMoves = [];
+      if (group.plans.length > 0 && !game.settings.get('shared-control', 'stopOnReveal')) {
+        [moved, groupMoves] = await Promise.all([rulerPreview.confirmMovement(), group.confirm()]);
+      } else {
+        moved = await rulerPreview.confirmMovement();
+        if (group.plans.length > 0 && !moved?.stopped) {
+          groupMoves = await group.confirm();
+        } else {
+          group.clearPlans();
+        }
+      }
+      moved ??= { distance, actions, stopped: false, path: [] };
+
+      // Outside combat, the tokens in the scene's marching order follow the leader's trail
+      let followerMoves = [];
+      if (this.groupTokens.length === 0 && game.sharedControl?.marchingOrder) {
+        followerMoves = await game.sharedControl.marchingOrder.follow(token, origin, moved.path, rulerPreview);
+      }
+
+      // Remember where the moves started so they can be undone
+      await game.sharedControl?.movementHistory?.record(token, origin, moved.distance, moved.actions);
+      for (const move of [...groupMoves, ...followerMoves]) {
+        await game.sharedControl?.movementHistory?.record(move.token, move.origin, move.distance, move.actions);
+      }
+
+      // Path stopped at a closed door - keep the token selected and offer to open it
+      // (unless the move halted before reaching it)
+      if (pendingDoor && !moved.stopped) {
+        this.pendingDoor = pendingDoor;
+        this.currentState = States.AWAITING_DOOR;
+        rulerPreview.showSelectionHighlight(this.selectedToken);
+        ui.notifications.info(game.i18n.localize('shared-control.notifications.tapToOpenDoor'));
+        debugLog('Movement stopped at door', pendingDoor.wallId);
+        return true;
+      }
 
       // Success - return to idle
       this.reset(rulerPreview);
@@ -210,6 +568,48 @@ export class MovementStateMachine {
     }
   }
 
+  /**
+   * Open the door the token stopped at and continue to the original destination
+   * @param {RulerPreview} rulerPreview - The ruler preview handler
+   * @returns {Boolean} - True if the door was opened
+   */
+  async openDoor(rulerPreview) {
+    if (this.currentState !== States.AWAITING_DOOR || !this.pendingDoor) {
+      debugLog('Invalid state for open door');
+      return false;
+    }
+
+    const { wallId, destination, waypoints } = this.pendingDoor;
+    const wallDoc = canvas.scene.walls.get(wallId);
+
+    // The door may have been opened, locked or deleted in the meantime
+    if (wallDoc && wallDoc.ds !== CONST.WALL_DOOR_STATES.OPEN) {
+      if (!rulerPreview.canRouteThroughDoor(wallDoc)) {
+        ui.notifications.warn(game.i18n.localize('shared-control.notifications.doorUnavailable'));
+        return false;
+      }
+      if (game.paused && !game.user.isGM) {
+        ui.notifications.warn(game.i18n.localize('shared-control.notifications.doorPaused'));
+        return false;
+      }
+
+      try {
+        await wallDoc.update({ ds: CONST.WALL_DOOR_STATES.OPEN });
+        debugLog('Door opened', wallId);
+      } catch (error) {
+        console.error('SharedControl: Error opening door', error);
+        ui.notifications.warn(game.i18n.localize('shared-control.notifications.doorUnavailable'));
+        return false;
+      }
+    }
+
+    // Continue planning the rest of the route the player originally tapped
+    this.pendingDoor = null;
+    this.waypoints = waypoints ?? [];
+    this.currentState = States.AWAITING_DESTINATION;
+    return this.previewMovement(destination, rulerPreview);
+  }
+
   /**
    * Cancel the current movement operation
    * @param {RulerPreview} rulerPreview - The ruler preview handler
@@ -226,6 +626,9 @@ export class MovementStateMachine {
     if (this.selectedToken) {
       this.selectedToken.release();
     }
+    for (const token of this.groupTokens) {
+      token.release();
+    }
 
     // Reset to idle
     this.reset(rulerPreview);
@@ -253,6 +656,7 @@ export class MovementStateMachine {
       if (this.currentState === States.ERROR) {
         this.currentState = States.AWAITING_DESTINATION;
         this.previewDestination = null;
+        this.waypoints = [];
         debugLog('Recovered from error state');
       }
     }, 2000);
@@ -288,25 +692,31 @@ export class MovementStateMachine {
       rulerPreview.clearSelectionHighlight();
     }
 
-    // Unlock the token by clearing the flag (only if we still own the lock)
+    const members = this.groupTokens;
+    this.groupTokens = [];
+    rulerPreview?.groupPreview.clear();
+
+    // Take back a request still waiting for the GM
+    if (this.approvalRequest && this.selectedToken) {
+      this.approvalRequest = null;
+      await game.sharedControl?.approvalQueue?.withdraw(this.selectedToken);
+    }
+
+    // Unlock the tokens by clearing the flag (only if we still own the lock)
     if (this.selectedToken) {
-      try {
-        const lockData = this.selectedToken.document.getFlag('shared-control', 'lockedBy');
-        // Only clear if we own the lock (don't clear someone else's lock)
-        if (lockData?.userId === game.user.id) {
-          await this.selectedToken.document.unsetFlag('shared-control', 'lockedBy');
-          debugLog('Token unlocked via flag');
-        } else {
-          debugLog('Lock owned by another user, not clearing');
-        }
-      } catch (e) {
-        console.warn('SharedControl: Could not clear lock flag', e);
-      }
+      await this.unlockToken(this.selectedToken);
+    }
+    for (const token of members) {
+      await this.unlockToken(token);
     }
 
     this.currentState = States.IDLE;
     this.selectedToken = null;
     this.previewDestination = null;
+    this.pendingDoor = null;
+    this.approvalRequest = null;
+    this.waypoints = [];
+    this.pinDestination = false;
     this.lastTapPosition = null;
     this.lastTapTime = 0;
     this._processingSelection = false;
@@ -0,0 +1,344 @@
+/**
+ * SharedControl System Adapters
+ * Registry of game system adapters that supply movement data and chat formatting
+ *
+ * An adapter is an object with any of the following methods; missing ones fall back to
+ * the generic adapter:
+ * - getSpeed(token, mode): speed for a movement mode in scene units, or null if it has none
+ * - getDiagonalRule(): a CONST.GRID_DIAGONALS value the system measures by, or null for the scene's
+ * - getConditionModifiers(token, mode): conditions and effects changing movement, as an Array of
+ *   {id, label, speed, bonus, multiplier, costMultiplier, actions}: speed caps the speed, bonus is
+ *   added, multiplier scales it, costMultiplier scales what each step costs (crawling) and actions
+ *   changes the actions per turn. A modifier with none of these only explains a speed the system
+ *   has already reduced
+ * - getReach(token): reach in scene units within which the creature makes opportunity attacks,
+ *   or null if it cannot make them
+ * - usesActions(): true if movement is counted in actions rather than distance
+ * - formatChatMessage(context): HTML of the chat message for a move, from
+ *   {token, distance, units, modeLabel, budget, actions}
+ *
+ * Other modules and worlds register theirs with game.sharedControl.registerSystemAdapter().
+ */
+
+import { formatActions } from './utils.js';
+
+/**
+ * Generic adapter, used for systems without one and for methods an adapter leaves out
+ */
+export const GENERIC_ADAPTER = {
+  /**
+   * Look for common movement attributes
+   * @param {Token} token - The token
+   * @param {String} mode - Movement mode
+   * @returns {Number|null} - Speed in scene units
+   */
+  getSpeed(token, mode) {
+    const system = token.actor?.system;
+    if (mode === 'walk') {
+      return system?.attributes?.movement?.value ||
+             system?.attributes?.speed?.value ||
+             system?.movement?.value ||
+             null;
+    }
+    return system?.attributes?.movement?.[mode] ?? null;
+  },
+
+  getDiagonalRule() {
+    return null;
+  },
+
+  getConditionModifiers() {
+    return [];
+  },
+
+  // Creatures threaten the spaces next to them
+  getReach() {
+    return canvas.grid?.distance ?? null;
+  },
+
+  usesActions() {
+    return false;
+  },
+
+  /**
+   * Report the distance moved and how it compares with the movement left this turn
+   * @param {Object} context - {token, distance, units, modeLabel, budget}
+   * @returns {String} - Chat message HTML
+   */
+  formatChatMessage({ token, distance, units, modeLabel, budget }) {
+    let message = `<strong>${token.name}</strong> moved <strong>${Math.round(distance)} ${units}</strong>`;
+    if (modeLabel) message += ` (${modeLabel.toLowerCase()})`;
+
+    // Add movement cost info if tracking is enabled and we have movement data
+    if (budget) {
+      const remaining = Math.max(0, budget.remaining - distance);
+
+      if (distance <= budget.remaining) {
+        message += ` <span style="color: #00aa00;">(${Math.round(remaining)} ${units} remaining)</span>`;
+      } else if (distance <= budget.dashRange) {
+        const extraUsed = Math.round(distance - budget.remaining);
+        message += ` <span style="color: #aaaa00;">(used ${extraUsed} ${units} extra movement)</span>`;
+      } else {
+        const extraUsed = Math.round(distance - budget.remaining);
+        message += ` <span style="color: #aa0000;">(exceeded by ${extraUsed} ${units})</span>`;
+      }
+    }
+
+    return message;
+  }
+};
+
+// Chat colors for moves taking one, two and three actions
+const ACTION_TEXT_COLORS = ['#00aa00', '#aaaa00', '#cc6600'];
+
+// dnd5e condition effects, for system versions without CONFIG.DND5E.conditionEffects
+const DND5E_CONDITION_EFFECTS = {
+  noMovement: ['exhaustion-5', 'grappled', 'paralyzed', 'petrified', 'restrained', 'stunned', 'unconscious'],
+  halfMovement: ['exhaustion-2'],
+  crawl: ['prone']
+};
+
+// dnd5e conditions that leave a creature unable to take reactions
+const DND5E_INCAPACITATING_STATUSES = ['incapacitated', 'paralyzed', 'petrified', 'stunned', 'unconscious'];
+
+// Pathfinder 2e actions granting the reaction that punishes moving away
+const PF2E_REACTION_SLUGS = ['attack-of-opportunity', 'reactive-strike'];
+
+// Pathfinder 2e conditions that leave a creature unable to move
+const PF2E_IMMOBILE_CONDITIONS = ['immobilized', 'grabbed', 'restrained', 'paralyzed', 'petrified', 'unconscious'];
+
+/**
+ * Get the display name of a status effect
+ * @param {String} statusId - Status effect ID
+ * @returns {String} - Localized name, or the ID if the status is unknown
+ */
+function getStatusLabel(statusId) {
+  const status = CONFIG.statusEffects?.find(effect => effect.id === statusId);
+  return status ? game.i18n.localize(status.name ?? status.label) : statusId;
+}
+
+/**
+ * Get a dnd5e actor's active statuses that cause a condition effect
+ * Exhaustion entries (exhaustion-N) apply from exhaustion level N upward
+ * @param {Actor} actor - The actor
+ * @param {String} effect - Condition effect (noMovement, halfMovement, crawl)
+ * @returns {Array} - Status IDs
+ */
+function getDnd5eConditionStatuses(actor, effect) {
+  const statusIds = CONFIG.DND5E?.conditionEffects?.[effect] ?? DND5E_CONDITION_EFFECTS[effect];
+  const exhaustion = actor.system?.attributes?.exhaustion ?? 0;
+
+  return [...statusIds].filter(statusId => {
+    const level = statusId.match(/^exhaustion-(\d+)$/)?.[1];
+    return level ? exhaustion >= Number(level) : !!actor.statuses?.has(statusId);
+  });
+}
+
+/**
+ * Built-in adapters, by system ID
+ */
+const BUILT_IN_ADAPTERS = {
+  dnd5e: {
+    getSpeed(token, mode) {
+      return token.actor?.system?.attributes?.movement?.[mode] ?? null;
+    },
+
+    /**
+     * Explain grappled, restrained, exhaustion and similar speed changes, and make prone creatures crawl
+     * @param {Token} token - The token
+     * @param {String} mode - Movement mode
+     * @returns {Array} - Condition modifiers
+     */
+    getConditionModifiers(token, mode) {
+      const actor = token.actor;
+      if (!actor) return [];
+
+      const exhaustion = actor.system?.attributes?.exhaustion ?? 0;
+      const getLabel = statusId => statusId.startsWith('exhaustion-')
+        ? `${getStatusLabel('exhaustion')} ${exhaustion}`
+        : getStatusLabel(statusId);
+      const modifiers = [];
+
+      for (const statusId of getDnd5eConditionStatuses(actor, 'noMovement')) {
+        modifiers.push({ id: statusId, label: getLabel(statusId), speed: 0 });
+      }
+
+      // Versions that report condition effects halve their derived speeds themselves
+      const halvedBySystem = typeof actor.hasConditionEffect === 'function';
+      for (const statusId of getDnd5eConditionStatuses(actor, 'halfMovement')) {
+        modifiers.push(halvedBySystem
+          ? { id: statusId, label: getLabel(statusId) }
+          : { id: statusId, label: getLabel(statusId), multiplier: 0.5 });
+      }
+
+      // Under the 2024 rules each exhaustion level already took 5 feet off every speed
+      if (exhaustion > 0 && !modifiers.some(modifier => modifier.id.startsWith('exhaustion'))) {
+        modifiers.push({ id: 'exhaustion', label: `${getStatusLabel('exhaustion')} ${exhaustion}` });
+      }
+
+      // Crawling costs 1 extra foot for every foot moved
+      if (mode === 'walk') {
+        for (const statusId of getDnd5eConditionStatuses(actor, 'crawl')) {
+          const label = game.i18n.format('shared-control.conditions.crawling', { condition: getLabel(statusId) });
+          modifiers.push({ id: statusId, label, costMultiplier: 2 });
+        }
+      }
+
+      return modifiers;
+    },
+
+    /**
+     * Reach of the creature's melee attacks: one space, or two with an equipped reach weapon
+     * @param {Token} token - The threatening token
+     * @returns {Number|null} - Reach in scene units, or null if the creature cannot take reactions
+     */
+    getReach(token) {
+      const actor = token.actor;
+      if (DND5E_INCAPACITATING_STATUSES.some(statusId => actor?.statuses?.has(statusId))) return null;
+
+      const hasReachWeapon = actor?.items?.some(item => item.type === 'weapon' &&
+        item.system?.equipped && item.system?.properties?.has?.('rch'));
+      return canvas.grid.distance * (hasReachWeapon ? 2 : 1);
+    }
+  },
+
+  'cosmere-rpg': {
+    // Cosmere RPG stores movement in system.movement.<mode>.rate
+    getSpeed(token, mode) {
+      const rate = token.actor?.system?.movement?.[mode]?.rate;
+      return rate?.derived ?? (typeof rate === 'number' ? rate : null);
+    }
+  },
+
+  pf2e: {
+    // Land speed is the main speed; the others are listed in otherSpeeds
+    getSpeed(token, mode) {
+      const speed = token.actor?.system?.attributes?.speed;
+      if (mode === 'walk') return speed?.total ?? null;
+
+      const otherSpeed = speed?.otherSpeeds?.find(s => s.type === mode);
+      return otherSpeed?.total ?? otherSpeed?.value ?? null;
+    },
+
+    /**
+     * Stop immobilized creatures, limit prone ones to Crawling 5 feet per action and take slowed actions away
+     * @param {Token} token - The token
+     * @param {String} mode - Movement mode
+     * @returns {Array} - Condition modifiers
+     */
+    getConditionModifiers(token, mode) {
+      const actor = token.actor;
+      if (!actor) return [];
+
+      const getCondition = slug => actor.getCondition?.(slug) ??
+        (actor.statuses?.has(slug) ? { name: getStatusLabel(slug), value: null } : null);
+      const modifiers = [];
+
+      for (const slug of PF2E_IMMOBILE_CONDITIONS) {
+        const condition = getCondition(slug);
+        if (condition) modifiers.push({ id: slug, label: condition.name, speed: 0 });
+      }
+
+      const prone = getCondition('prone');
+      if (prone && mode === 'walk') {
+        const label = game.i18n.format('shared-control.conditions.crawling', { condition: prone.name });
+        modifiers.push({ id: 'prone', label, speed: 5 });
+      }
+
+      const slowed = getCondition('slowed');
+      if (slowed) {
+        const count = slowed.value ?? 1;
+        const label = game.i18n.format('shared-control.conditions.fewerActions', { condition: `${slowed.name} ${count}`, count });
+        modifiers.push({ id: 'slowed', label, actions: -count });
+      }
+
+      // The system applies the encumbered Speed penalty itself
+      const encumbered = getCondition('encumbered');
+      if (encumbered) modifiers.push({ id: 'encumbered', label: encumbered.name });
+
+      return modifiers;
+    },
+
+    /**
+     * Only creatures with Reactive Strike (Attack of Opportunity) punish moving away
+     * @param {Token} token - The threatening token
+     * @returns {Number|null} - Reach in scene units, or null if the creature has no such reaction
+     */
+    getReach(token) {
+      const actor = token.actor;
+      const reacts = actor?.itemTypes?.action?.some(action => PF2E_REACTION_SLUGS.includes(action.slug));
+      if (!reacts) return null;
+      return actor.system?.attributes?.reach?.base ?? canvas.grid.distance;
+    },
+
+    // Pathfinder 2e always counts diagonals 5/10/5
+    getDiagonalRule() {
+      return CONST.GRID_DIAGONALS.ALTERNATING_1;
+    },
+
+    usesActions() {
+      return game.settings.get('shared-control', 'pf2eActionMovement');
+    },
+
+    /**
+     * Report Stride actions, colored like the preview's action bands
+     * @param {Object} context - {token, distance, units, modeLabel, budget, actions}
+     * @returns {String} - Chat message HTML
+     */
+    formatChatMessage(context) {
+      const { token, distance, units, modeLabel, budget, actions } = context;
+      if (!budget || !this.usesActions()) return GENERIC_ADAPTER.formatChatMessage(context);
+
+      let message = `<strong>${token.name}</strong> moved <strong>${Math.round(distance)} ${units}</strong>`;
+      if (modeLabel) message += ` (${modeLabel.toLowerCase()})`;
+
+      const color = actions > budget.actionsLeft ? '#aa0000' : (ACTION_TEXT_COLORS[actions - 1] ?? '#00aa00');
+      return `${message} <span style="color: ${color};">(${formatActions(actions)} spent)</span>`;
+    }
+  },
+
+  swade: {
+    // SWADE has a single Pace
+    getSpeed(token, mode) {
+      return mode === 'walk' ? (token.actor?.system?.stats?.speed?.value ?? null) : null;
+    }
+  }
+};
+
+const adapters = new Map();
+
+/**
+ * Register the adapter for a game system, replacing any registered before
+ * @param {String} systemId - Game system ID (e.g. 'dnd5e')
+ * @param {Object} adapter - Adapter methods (see above)
+ * @returns {Boolean} - True if registered
+ */
+export function registerSystemAdapter(systemId, adapter) {
+  if (typeof systemId !== 'string' || !systemId || !adapter || typeof adapter !== 'object') {
+    console.warn('SharedControl: registerSystemAdapter needs a system ID and an adapter object');
+    return false;
+  }
+
+  for (const key of Object.keys(GENERIC_ADAPTER)) {
+    if (key in adapter && typeof adapter[key] !== 'function') {
+      console.warn(`SharedControl: Adapter for ${systemId} ignored, ${key} is not a function`);
+      return false;
+    }
+  }
+
+  adapters.set(systemId, { ...GENERIC_ADAPTER, ...adapter });
+  return true;
+}
+
+/**
+ * Get the adapter for a game system
+ * @param {String} systemId - Game system ID (defaults to the current system)
+ * @returns {Object} - The registered adapter, or the generic one
+ */
+export function getSystemAdapter(systemId = game.system.id) {
+  return adapters.get(systemId) ?? GENERIC_ADAPTER;
+}
+
+for (const [systemId, adapter] of Object.entries(BUILT_IN_ADAPTERS)) {
+  registerSystemAdapter(systemId, adapter);
+}
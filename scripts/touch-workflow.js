@@ -92,6 +92,14 @@ export class TouchWorkflowHandler {
             this.stateMachine.cancelMovement(this.rulerPreview);
           }
         }
+
+        // Someone else took a token moving with ours - it leaves the group
+        const member = this.stateMachine.groupTokens.find(token => token.document.id === tokenDoc.id);
+        const memberLockData = changes.flags['shared-control'].lockedBy;
+        if (member && memberLockData && memberLockData.userId !== game.user.id) {
+          debugLog('Lock on group member overridden, removing', member.name);
+          this.stateMachine.toggleGroupMember(member, this.rulerPreview);
+        }
       }
     });
     this.hooks.push({ name: 'updateToken', id: updateHook });
@@ -131,6 +139,13 @@ export class TouchWorkflowHandler {
       return;
     }
 
+    // Token stopped at a closed door - any tap opens it
+    if (currentState === States.AWAITING_DOOR) {
+      debugLog('Door tap detected');
+      await this.stateMachine.openDoor(this.rulerPreview);
+      return;
+    }
+
     // Only handle canvas taps in AWAITING_DESTINATION or PREVIEWING_PATH states
     if (currentState !== States.AWAITING_DESTINATION &&
         currentState !== States.PREVIEWING_PATH) {
@@ -153,9 +168,9 @@ export class TouchWorkflowHandler {
       return;
     }
 
-    // Otherwise, preview movement to this location
+    // Otherwise, preview movement to this location (appending a waypoint if requested)
     debugLog('New destination tap detected');
-    await this.stateMachine.previewMovement(position, this.rulerPreview);
+    await this.stateMachine.addWaypoint(position, this.rulerPreview);
   }
 
   /**
@@ -198,10 +213,10 @@ export class TouchWorkflowHandler {
       return;
     }
 
-    // Block taps during movement execution
+    // Block taps during movement execution and while the GM decides on a move
     const currentState = this.stateMachine.getState();
-    if (currentState === States.EXECUTING_MOVEMENT) {
-      debugLog('Movement executing, blocking pointer interaction');
+    if (currentState === States.EXECUTING_MOVEMENT || currentState === States.AWAITING_APPROVAL) {
+      debugLog('Movement executing or awaiting approval, blocking pointer interaction');
       event.stopPropagation();
       return;
     }
@@ -214,7 +229,8 @@ export class TouchWorkflowHandler {
       // Stop propagation when module is handling destination/confirmation taps
       // to prevent Foundry's canvas handler from interfering (deselecting tokens, panning, etc.)
       if (currentState === States.AWAITING_DESTINATION ||
-          currentState === States.PREVIEWING_PATH) {
+          currentState === States.PREVIEWING_PATH ||
+          currentState === States.AWAITING_DOOR) {
         event.stopPropagation();
       }
       // Canvas tap - handle destination selection (works for both mouse and touch)
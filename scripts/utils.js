@@ -3,9 +3,15 @@
  * Helper functions for grid calculations, distance checking, and validation
  */
 
+import { GRID_KINDS, getOffsetNeighbors } from './grid-search.js';
+import { getSystemAdapter } from './system-adapters.js';
+
 // Constants
 const EPSILON = 0.0001; // Tolerance for floating point comparisons
 
+// Movement modes the tap workflow can switch between (core movement action IDs)
+export const MOVEMENT_MODES = ['walk', 'fly', 'swim', 'burrow', 'climb'];
+
 /**
  * Debug logging utility - only logs when debug mode is enabled
  * @param {...any} args - Arguments to log
@@ -65,12 +71,37 @@ export function canMoveToken(token) {
   return token.isOwner || game.user.isGM;
 }
 
+/**
+ * Check if two tokens are hostile to each other (friendly vs hostile disposition)
+ * Neutral and secret tokens are never considered hostile
+ * @param {Token} token - The token object
+ * @param {Token} other - The other token object
+ * @returns {Boolean} - True if the tokens are on opposing sides
+ */
+export function isHostileTo(token, other) {
+  const { FRIENDLY, HOSTILE } = CONST.TOKEN_DISPOSITIONS;
+  const a = token?.document?.disposition;
+  const b = other?.document?.disposition;
+  return (a === FRIENDLY && b === HOSTILE) || (a === HOSTILE && b === FRIENDLY);
+}
+
+/**
+ * Check if a token is defeated (dead creatures do not occupy space)
+ * @param {Token} token - The token object
+ * @returns {Boolean} - True if defeated
+ */
+export function isTokenDefeated(token) {
+  const defeatedStatus = CONFIG.specialStatusEffects?.DEFEATED ?? 'dead';
+  return !!token?.actor?.statuses?.has(defeatedStatus) || !!token?.combatant?.defeated;
+}
+
 /**
  * Get available movement distance for a token (system-specific)
  * @param {Token} token - The token object
+ * @param {String} mode - Movement mode (walk, fly, swim, burrow, climb)
  * @returns {Number|null} - Available movement in scene distance units (feet), or null if unlimited
  */
-export function getAvailableMovement(token) {
+export function getAvailableMovement(token, mode = 'walk') {
   // Check if movement tracking is enabled in settings
   const trackMovement = game.settings.get('shared-control', 'trackMovement');
   debugLog('Movement tracking enabled?', trackMovement);
@@ -80,58 +111,28 @@ export function getAvailableMovement(token) {
     return null;
   }
 
-  const systemId = game.system.id;
-  debugLog('Game system ID:', systemId);
-
   if (!token.actor) {
     console.warn('SharedControl: Token has no actor');
     return null;
   }
 
-  try {
-    let movement = null;
-
-    switch(systemId) {
-      case 'dnd5e':
-        movement = token.actor?.system?.attributes?.movement?.walk ?? null;
-        debugLog('DND5e movement path check:', {
-          hasSystem: !!token.actor.system,
-          hasAttributes: !!token.actor.system?.attributes,
-          hasMovement: !!token.actor.system?.attributes?.movement,
-          walk: token.actor.system?.attributes?.movement?.walk
-        });
-        break;
-
-      case 'cosmere-rpg':
-        // Cosmere RPG stores movement in system.movement.walk.rate
-        const cosmereMovement = token.actor.system?.movement;
-        debugLog('Cosmere movement.walk:', cosmereMovement?.walk);
-
-        // Extract the actual number from walk.rate.derived
-        const walkRate = cosmereMovement?.walk?.rate;
-        movement = walkRate?.derived ?? (typeof walkRate === 'number' ? walkRate : null);
-
-        debugLog('Cosmere extracted movement:', movement);
-        break;
-
-      case 'pf2e':
-        movement = token.actor?.system?.attributes?.speed?.total ?? null;
-        break;
-
-      case 'swade':
-        movement = token.actor?.system?.stats?.speed?.value ?? null;
-        break;
-
-      default:
-        // Try generic approach - look for common movement attributes
-        movement = token.actor?.system?.attributes?.movement?.value
-                || token.actor?.system?.attributes?.speed?.value
-                || token.actor?.system?.movement?.value
-                || null;
-        debugLog('Generic system movement check');
-    }
+  const speed = getMovementSpeed(token, mode);
+  if (speed === null || speed === undefined) return null;
+  return applySpeedModifiers(token, mode, speed);
+}
 
-    debugLog('Available movement for', token.name, ':', movement);
+/**
+ * Read a token's speed for a movement mode from the game system's adapter
+ * @param {Token} token - The token object
+ * @param {String} mode - Movement mode (walk, fly, swim, burrow, climb)
+ * @returns {Number|null} - Speed in scene distance units, or null if the system has none
+ */
+export function getMovementSpeed(token, mode = 'walk') {
+  if (!token.actor) return null;
+
+  try {
+    const movement = getSystemAdapter().getSpeed(token, mode) ?? null;
+    debugLog('Available', mode, 'movement for', token.name, ':', movement);
     return movement;
   } catch (error) {
     console.warn('SharedControl: Error getting available movement', error);
@@ -139,6 +140,139 @@ export function getAvailableMovement(token) {
   }
 }
 
+/**
+ * Get the conditions and effects changing a token's movement, from the system adapter
+ * @param {Token} token - The token object
+ * @param {String} mode - Movement mode (walk, fly, swim, burrow, climb)
+ * @returns {Array} - Modifiers {id, label, speed, bonus, multiplier, costMultiplier, actions}
+ */
+export function getSpeedModifiers(token, mode = 'walk') {
+  if (!token?.actor) return [];
+
+  try {
+    return getSystemAdapter().getConditionModifiers(token, mode) ?? [];
+  } catch (error) {
+    console.warn('SharedControl: Error getting condition modifiers', error);
+    return [];
+  }
+}
+
+/**
+ * Apply the system adapter's condition modifiers to a speed
+ * A modifier's speed caps the speed, then bonuses are added and multipliers applied
+ * @param {Token} token - The token object
+ * @param {String} mode - Movement mode
+ * @param {Number} speed - Unmodified speed in scene distance units
+ * @returns {Number} - Modified speed, never below 0
+ */
+export function applySpeedModifiers(token, mode, speed) {
+  const modifiers = getSpeedModifiers(token, mode);
+
+  let modified = speed;
+  for (const modifier of modifiers) {
+    if (typeof modifier.speed === 'number') modified = Math.min(modified, modifier.speed);
+  }
+  for (const modifier of modifiers) {
+    if (typeof modifier.bonus === 'number') modified += modifier.bonus;
+  }
+  for (const modifier of modifiers) {
+    if (typeof modifier.multiplier === 'number') modified *= modifier.multiplier;
+  }
+  return Math.max(0, modified);
+}
+
+/**
+ * Get how much more each step costs a token because of its conditions (e.g. crawling while prone)
+ * @param {Token} token - The token object
+ * @param {String} mode - Movement mode
+ * @returns {Number} - Cost multiplier (1 for normal movement)
+ */
+export function getMovementCostMultiplier(token, mode = 'walk') {
+  return getSpeedModifiers(token, mode)
+    .reduce((product, modifier) => product * (modifier.costMultiplier ?? 1), 1);
+}
+
+/**
+ * Get how many actions per turn a token gains or loses because of its conditions
+ * @param {Token} token - The token object
+ * @param {String} mode - Movement mode
+ * @returns {Number} - Change to the actions per turn (negative for fewer)
+ */
+export function getActionModifier(token, mode = 'walk') {
+  return getSpeedModifiers(token, mode)
+    .reduce((sum, modifier) => sum + (modifier.actions ?? 0), 0);
+}
+
+/**
+ * Explain why a token cannot move at all
+ * A token is stuck when tracked movement leaves it no speed in any of its movement modes
+ * @param {Token} token - The token object
+ * @returns {Array|null} - Labels of the conditions stopping it (possibly empty), or null if it can move
+ */
+export function getImmobileReasons(token) {
+  const modes = getAvailableMovementModes(token);
+  if (modes.some(mode => getAvailableMovement(token, mode) !== 0)) return null;
+
+  const labels = modes.flatMap(mode => getSpeedModifiers(token, mode)
+    .filter(modifier => modifier.speed === 0 || modifier.multiplier === 0)
+    .map(modifier => modifier.label));
+  return [...new Set(labels)];
+}
+
+/**
+ * Check if movement is counted in actions rather than distance
+ * Decided by the system adapter; Pathfinder 2e moves in Stride actions, each covering up to the creature's Speed
+ * @returns {Boolean} - True if paths are measured in actions
+ */
+export function usesActionMovement() {
+  return !!getSystemAdapter().usesActions();
+}
+
+/**
+ * Get the number of Stride actions a move takes
+ * @param {Number} distance - Movement cost in scene distance units
+ * @param {Number} speed - Distance one action covers
+ * @returns {Number} - Actions needed (0 for no movement, Infinity if the token cannot move)
+ */
+export function getStrideActions(distance, speed) {
+  if (distance <= 0) return 0;
+  if (!speed) return Infinity;
+
+  // Tolerate rounding in measured costs so a move of exactly Speed is one action
+  return Math.ceil((distance / speed) - 0.0001);
+}
+
+/**
+ * Format an action count for display
+ * @param {Number} count - Number of actions
+ * @returns {String} - Localized label, e.g. "2 actions"
+ */
+export function formatActions(count) {
+  const key = count === 1 ? 'one' : 'other';
+  return game.i18n.format(`shared-control.ui.actions.${key}`, { count });
+}
+
+/**
+ * Get the movement modes a token can use
+ * Walking is always available; other modes need a speed from the game system
+ * @param {Token} token - The token object
+ * @returns {Array} - Array of movement mode IDs
+ */
+export function getAvailableMovementModes(token) {
+  return MOVEMENT_MODES.filter(mode => mode === 'walk' || getMovementSpeed(token, mode) > 0);
+}
+
+/**
+ * Check if walls block a movement mode
+ * Follows the core movement action configuration, where a null wall type means walls are ignored
+ * @param {String} mode - Movement mode
+ * @returns {Boolean} - True if walls block the mode
+ */
+export function movementModeUsesWalls(mode = 'walk') {
+  const action = CONFIG.Token?.movement?.actions?.[mode];
+  return action?.walls !== null;
+}
+
 /**
  * Calculate distance between two points using grid measurement
  * @param {Object} origin - Origin position {x, y}
@@ -176,6 +310,7 @@ export function calculateDistance(origin, destination) {
 
 /**
  * Check if movement path is blocked by walls or terrain
+ * Walls follow Foundry's movement rules (see getMovementBlockers)
  * @param {Token} token - The token object
  * @param {Array} waypoints - Array of waypoint positions
  * @returns {Boolean} - True if path is clear
@@ -184,29 +319,16 @@ export function isPathClear(token, waypoints) {
   if (!canvas.walls || waypoints.length < 2) return true;
 
   try {
+    const walls = (canvas.walls?.placeables || []).map(wall => wall.document);
+
     // Check each segment of the path for wall collisions
     for (let i = 0; i < waypoints.length - 1; i++) {
       const from = waypoints[i];
       const to = waypoints[i + 1];
 
-      // Check each wall segment for intersection
-      const walls = canvas.walls?.placeables || [];
-      for (const wall of walls) {
-        // Skip doors that are open
-        if (wall.document.ds === CONST.WALL_DOOR_STATES.OPEN) continue;
-
-        // Skip walls that don't block movement (NONE = 0)
-        const moveType = wall.document.move;
-        if (moveType === CONST.WALL_MOVEMENT_TYPES.NONE) continue;
-
-        // Get wall coordinates
-        const c = wall.document.c;
-
-        // Check for line segment intersection using robust algorithm
-        if (lineSegmentsIntersect(from.x, from.y, to.x, to.y, c[0], c[1], c[2], c[3])) {
-          debugLog('Path blocked by wall between', from, 'and', to);
-          return false;
-        }
+      if (getMovementBlockers(from, to, walls).length > 0) {
+        debugLog('Path blocked by wall between', from, 'and', to);
+        return false;
       }
     }
 
@@ -218,6 +340,96 @@ export function isPathClear(token, waypoints) {
   }
 }
 
+/**
+ * Get the walls that stop a straight movement under Foundry's movement rules
+ * One-way walls only stop movement that starts on their blocking side, limited (terrain)
+ * walls only stop movement that crosses two of them, and proximity walls follow their
+ * movement threshold
+ * @param {Object} from - Movement start {x, y}
+ * @param {Object} to - Movement end {x, y}
+ * @param {Iterable} walls - WallDocuments to test
+ * @returns {Array} - The WallDocuments stopping the movement (empty if it is clear)
+ */
+export function getMovementBlockers(from, to, walls) {
+  const blockers = [];
+  const limited = [];
+
+  for (const doc of walls) {
+    const rule = getWallMovementRule(doc);
+    if (!rule) continue;
+
+    const c = doc.c;
+    if (!lineSegmentsIntersect(from.x, from.y, to.x, to.y, c[0], c[1], c[2], c[3])) continue;
+    if (!wallRuleApplies(rule, c, from)) continue;
+
+    (rule.limited ? limited : blockers).push(doc);
+  }
+
+  if (limited.length >= 2) blockers.push(...limited);
+  return blockers;
+}
+
+/**
+ * Describe how a wall restricts movement
+ * The result is plain data, so it can be sent to the pathfinding worker
+ * @param {WallDocument} doc - The wall document
+ * @returns {Object|null} - {side, limited, threshold}, or null if the wall never blocks movement.
+ *                          side is 0 for both sides, otherwise the orientation sign (1 left,
+ *                          -1 right) movement must start on to be blocked; threshold is
+ *                          {distance, proximity} in pixels for proximity walls
+ */
+export function getWallMovementRule(doc) {
+  if (!wallBlocksMovement(doc)) return null;
+
+  let side = 0;
+  if (doc.dir === CONST.WALL_DIRECTIONS.LEFT) side = 1;
+  else if (doc.dir === CONST.WALL_DIRECTIONS.RIGHT) side = -1;
+
+  // Proximity walls only apply a threshold if one is set for movement
+  const senseTypes = CONST.WALL_SENSE_TYPES;
+  let threshold = null;
+  const thresholdDistance = doc.threshold?.move;
+  if (thresholdDistance && doc.move >= senseTypes.PROXIMITY) {
+    const pixelsPerUnit = canvas.dimensions?.distancePixels ?? (canvas.grid.size / canvas.grid.distance);
+    threshold = { distance: thresholdDistance * pixelsPerUnit, proximity: doc.move === senseTypes.PROXIMITY };
+  }
+
+  return { side, limited: doc.move === senseTypes.LIMITED, threshold };
+}
+
+/**
+ * Check if a wall's movement rule applies to movement starting at a point and crossing it
+ * Uses no Foundry globals, so the pathfinding worker can call it
+ * @param {Object} rule - Rule from getWallMovementRule
+ * @param {Array} c - Wall coordinates [x1, y1, x2, y2]
+ * @param {Object} origin - Point {x, y} the movement starts from
+ * @returns {Boolean} - True if the wall restricts this movement (limited walls still need a second crossing)
+ */
+export function wallRuleApplies(rule, c, origin) {
+  // One-way walls: only movement starting on the blocking side is stopped
+  if (rule.side) {
+    const orientation = ((c[1] - origin.y) * (c[2] - origin.x)) - ((c[0] - origin.x) * (c[3] - origin.y));
+    if (Math.sign(orientation) !== rule.side) return false;
+  }
+
+  // Proximity walls let movement through from within the threshold, reverse proximity from beyond it
+  if (rule.threshold) {
+    const dx = c[2] - c[0];
+    const dy = c[3] - c[1];
+    const lengthSquared = (dx * dx) + (dy * dy);
+    const t = lengthSquared > 0
+      ? Math.max(0, Math.min(1, (((origin.x - c[0]) * dx) + ((origin.y - c[1]) * dy)) / lengthSquared))
+      : 0;
+    const distance = Math.hypot(origin.x - (c[0] + (t * dx)), origin.y - (c[1] + (t * dy)));
+    const passes = rule.threshold.proximity
+      ? distance < rule.threshold.distance
+      : distance > rule.threshold.distance;
+    if (passes) return false;
+  }
+
+  return true;
+}
+
 /**
  * Check if two line segments intersect
  * @returns {Boolean} - True if segments intersect
@@ -264,15 +476,24 @@ export function screenToCanvas(clientX, clientY) {
   return { x: canvasX, y: canvasY };
 }
 
+/**
+ * Check if the current scene has no grid
+ * @returns {Boolean} - True on gridless scenes
+ */
+export function isGridless() {
+  return canvas.grid?.type === CONST.GRID_TYPES.GRIDLESS;
+}
+
 /**
  * Get the grid position (snapped to grid) for canvas coordinates
+ * Gridless scenes have nothing to snap to, so the position is returned unchanged
  * Returns the CENTER of the grid space for visualization
  * @param {Number} x - Canvas X coordinate
  * @param {Number} y - Canvas Y coordinate
  * @returns {Object} - Grid-snapped position {x, y}
  */
 export function getGridPosition(x, y) {
-  if (!canvas.grid) return { x, y };
+  if (!canvas.grid || isGridless()) return { x, y };
 
   try {
     // v13 API: Use getTopLeftPoint to get the top-left of the grid space,
@@ -303,12 +524,13 @@ export function getGridPosition(x, y) {
 /**
  * Get the token position for a click (top-left of grid space)
  * This is for placing tokens, since token x,y represents top-left corner
+ * Gridless scenes return the position unchanged
  * @param {Number} x - Canvas X coordinate
  * @param {Number} y - Canvas Y coordinate
  * @returns {Object} - Token position {x, y} at top-left of grid
  */
 export function getTokenPosition(x, y) {
-  if (!canvas.grid) return { x, y };
+  if (!canvas.grid || isGridless()) return { x, y };
 
   try {
     // Get the top-left corner of the grid space
@@ -322,6 +544,172 @@ export function getTokenPosition(x, y) {
   }
 }
 
+/**
+ * Get the grid offsets adjacent to a grid cell
+ * Square grids use 8-directional movement; hex grids use the 6 surrounding cells
+ * @param {Object} offset - Grid offset {i, j}
+ * @returns {Array} - Array of neighbor offsets {i, j}
+ */
+export function getGridNeighbors(offset) {
+  return getOffsetNeighbors(offset, getGridKind());
+}
+
+/**
+ * Get the neighbor layout of the current scene's grid
+ * @returns {String} - A GRID_KINDS value
+ */
+export function getGridKind() {
+  const gridType = canvas.grid.type;
+
+  if (gridType === CONST.GRID_TYPES.HEXODDR || gridType === CONST.GRID_TYPES.HEXEVENR) {
+    return GRID_KINDS.HEX_ROWS;
+  }
+  if (gridType === CONST.GRID_TYPES.HEXODDC || gridType === CONST.GRID_TYPES.HEXEVENC) {
+    return GRID_KINDS.HEX_COLUMNS;
+  }
+  return GRID_KINDS.SQUARE;
+}
+
+/**
+ * Get the size of a token's footprint in grid cells
+ * Footprints are only tracked on square grids; other grids treat every token as one cell
+ * @param {Token} token - The token object
+ * @returns {Object} - Footprint size {width, height} in cells
+ */
+export function getTokenFootprint(token) {
+  if (canvas.grid?.type !== CONST.GRID_TYPES.SQUARE) return { width: 1, height: 1 };
+
+  const doc = token?.document;
+  return {
+    width: Math.max(1, Math.round(doc?.width ?? 1)),
+    height: Math.max(1, Math.round(doc?.height ?? 1))
+  };
+}
+
+/**
+ * Get every grid cell covered by a footprint anchored at its top-left cell
+ * @param {Object} anchor - Top-left grid offset {i, j}
+ * @param {Object} footprint - Footprint size {width, height} in cells
+ * @returns {Array} - Array of grid offsets {i, j}
+ */
+export function getFootprintOffsets(anchor, footprint = { width: 1, height: 1 }) {
+  const offsets = [];
+  for (let di = 0; di < footprint.height; di++) {
+    for (let dj = 0; dj < footprint.width; dj++) {
+      offsets.push({ i: anchor.i + di, j: anchor.j + dj });
+    }
+  }
+  return offsets;
+}
+
+/**
+ * Get the diagonal rule movement is measured by
+ * @returns {Number} - The system adapter's CONST.GRID_DIAGONALS value, or the current scene's
+ */
+export function getDiagonalRule() {
+  try {
+    return getSystemAdapter().getDiagonalRule() ?? canvas.grid?.diagonals;
+  } catch (error) {
+    console.warn('SharedControl: Error getting diagonal rule', error);
+    return canvas.grid?.diagonals;
+  }
+}
+
+/**
+ * Check if a diagonal rule alternates the cost of successive diagonals (5/10/5 or 10/5/10)
+ * @param {Number} rule - A CONST.GRID_DIAGONALS value
+ * @returns {Boolean} - True if the rule is stateful
+ */
+export function isAlternatingDiagonalRule(rule = getDiagonalRule()) {
+  return rule === CONST.GRID_DIAGONALS.ALTERNATING_1 ||
+         rule === CONST.GRID_DIAGONALS.ALTERNATING_2;
+}
+
+/**
+ * Get the cost of a diagonal step on a square grid under the diagonal rule movement is measured by
+ * @param {Number} parity - Parity (0 or 1) of diagonal steps already taken, for alternating rules
+ * @param {Number} rule - A CONST.GRID_DIAGONALS value (defaults to getDiagonalRule())
+ * @returns {Number} - Cost in grid spaces (Infinity if diagonals are not allowed)
+ */
+export function getDiagonalStepCost(parity = 0, rule = getDiagonalRule()) {
+  switch (rule) {
+    case CONST.GRID_DIAGONALS.EQUIDISTANT:
+      return 1;
+    case CONST.GRID_DIAGONALS.APPROXIMATE:
+      return 1.5;
+    case CONST.GRID_DIAGONALS.RECTILINEAR:
+      return 2;
+    case CONST.GRID_DIAGONALS.ALTERNATING_1:
+      // 5/10/5: odd diagonals cost 1, even diagonals cost 2
+      return parity === 0 ? 1 : 2;
+    case CONST.GRID_DIAGONALS.ALTERNATING_2:
+      // 10/5/10: odd diagonals cost 2, even diagonals cost 1
+      return parity === 0 ? 2 : 1;
+    case CONST.GRID_DIAGONALS.ILLEGAL:
+      return Infinity;
+    case CONST.GRID_DIAGONALS.EXACT:
+    default:
+      return Math.SQRT2;
+  }
+}
+
+/**
+ * Describe the current scene's grid for the grid search
+ * @returns {Object} - Search grid {kind, diagonalCosts} with the diagonal cost for each parity
+ */
+export function getSearchGrid() {
+  return {
+    kind: getGridKind(),
+    diagonalCosts: [getDiagonalStepCost(0), getDiagonalStepCost(1)]
+  };
+}
+
+/**
+ * Get the center point of a grid cell
+ * @param {Object} offset - Grid offset {i, j}
+ * @returns {Object} - Cell center {x, y}
+ */
+export function getGridCellCenter(offset) {
+  const topLeft = canvas.grid.getTopLeftPoint(offset);
+  const gridSize = canvas.grid.size;
+  return { x: topLeft.x + gridSize / 2, y: topLeft.y + gridSize / 2 };
+}
+
+/**
+ * Check if a wall currently blocks token movement
+ * Open doors and walls without a movement restriction never block
+ * @param {WallDocument} doc - The wall document
+ * @returns {Boolean} - True if the wall blocks movement
+ */
+export function wallBlocksMovement(doc) {
+  if (!doc) return false;
+  if (doc.ds === CONST.WALL_DOOR_STATES.OPEN) return false;
+  if (doc.move === CONST.WALL_MOVEMENT_TYPES.NONE) return false;
+
+  const c = doc.c;
+  return !!c && c.length >= 4;
+}
+
+/**
+ * Check if a point lies inside a scene region
+ * @param {RegionDocument} region - The region document
+ * @param {Object} point - Point {x, y}
+ * @param {Number} elevation - Elevation of the point
+ * @returns {Boolean} - True if the region contains the point
+ */
+export function regionContainsPoint(region, point, elevation = 0) {
+  try {
+    // v13 API takes an elevated point on the document
+    if (typeof region.testPoint === 'function') {
+      return region.testPoint({ x: point.x, y: point.y, elevation });
+    }
+    return region.object?.testPoint(point, elevation) ?? false;
+  } catch (error) {
+    debugLog('Error testing region point', error);
+    return false;
+  }
+}
+
 /**
  * Debounce function to prevent rapid repeated calls
  * @param {Function} func - Function to debounce
@@ -0,0 +1,287 @@
+/**
+ * SharedControl Visibility Graph
+ * Gridless pathfinding over the convex corners of walls, inflated by the token's radius
+ */
+
+import * as utils from './utils.js';
+import { debugLog } from './utils.js';
+import { PriorityQueue } from './priority-queue.js';
+
+// Corner nodes sit this many token radii away from the wall endpoint, so that the
+// chord between two nodes around the same corner still clears it
+const CORNER_CLEARANCE_FACTOR = 1.5;
+
+// Pixels of slack when testing clearance, so paths may graze walls
+const CLEARANCE_TOLERANCE = 0.5;
+
+// Tolerance for angle comparisons
+const EPSILON = 0.0001;
+
+export class VisibilityGraph {
+  /**
+   * @param {NavigationGraph} navigationGraph - Source of the scene's blocking walls
+   */
+  constructor(navigationGraph) {
+    this.navigationGraph = navigationGraph;
+    this.cornerCache = null; // {version, clearance, nodes} for the last corner set built
+  }
+
+  /**
+   * Find the shortest path between two points that keeps a token's radius clear of walls
+   * @param {Object} start - Start point {x, y} (token center)
+   * @param {Object} end - End point {x, y} (token center)
+   * @param {Object} options - Options
+   * @param {Number} options.clearance - Token radius in pixels
+   * @param {Object} options.bounds - Scene bounds {x, y, width, height}
+   * @param {Function} options.isPassable - Called with a WallDocument; true if the path may cross it
+   * @param {Function} options.getRule - Called with a WallDocument; returns its movement rule
+   *                                     (see utils.getWallMovementRule), or null for a plain wall
+   * @returns {Array|null} - Array of points {x, y} excluding the start, or null if no path
+   */
+  findPath(start, end, { clearance = 0, bounds = null, isPassable = null, getRule = null } = {}) {
+    const segments = this.navigationGraph.getWallSegments().filter(wallDoc => !isPassable?.(wallDoc));
+    const walls = segments.map(wallDoc => wallDoc.c);
+
+    // Walls the token already touches at either end are only tested for crossing
+    const context = {
+      walls,
+      rules: getRule ? segments.map(wallDoc => getRule(wallDoc)) : null,
+      clearance,
+      startWalls: this.getWallsWithin(start, walls, clearance),
+      endWalls: this.getWallsWithin(end, walls, clearance)
+    };
+
+    if (this.isSegmentClear(start, end, context)) {
+      return [{ x: end.x, y: end.y }];
+    }
+
+    // Node 0 is the start, node 1 the end, the rest are wall corners
+    const nodes = [start, end, ...this.getCornerNodes(clearance, bounds)];
+    debugLog('Visibility graph search over', nodes.length, 'nodes and', walls.length, 'walls');
+
+    const gScore = new Map([[0, 0]]);
+    const cameFrom = new Map();
+    const closedSet = new Set();
+    const openSet = new PriorityQueue();
+    openSet.push(0, 0, this.getDistance(start, end));
+
+    while (!openSet.isEmpty()) {
+      const { key: current } = openSet.pop();
+
+      if (current === 1) {
+        const path = [];
+        let node = current;
+        while (node !== 0) {
+          path.unshift({ x: nodes[node].x, y: nodes[node].y });
+          node = cameFrom.get(node);
+        }
+        return path;
+      }
+
+      closedSet.add(current);
+      const currentPoint = nodes[current];
+
+      for (let next = 1; next < nodes.length; next++) {
+        if (closedSet.has(next)) continue;
+
+        const tentativeG = gScore.get(current) + this.getDistance(currentPoint, nodes[next]);
+        if (tentativeG >= (gScore.get(next) ?? Infinity)) continue;
+
+        // Visibility is the expensive test, so it runs only for improving edges
+        if (!this.isSegmentClear(currentPoint, nodes[next], context, current === 0, next === 1)) continue;
+
+        cameFrom.set(next, current);
+        gScore.set(next, tentativeG);
+        openSet.push(next, next, tentativeG + this.getDistance(nodes[next], end));
+      }
+    }
+
+    debugLog('Visibility graph: no path found');
+    return null;
+  }
+
+  /**
+   * Get the nodes a token may turn at: points just outside each convex wall corner
+   * Built from every blocking wall (including doors) and cached until the scene's
+   * walls or the clearance change
+   * @param {Number} clearance - Token radius in pixels
+   * @param {Object} bounds - Scene bounds {x, y, width, height}
+   * @returns {Array} - Array of points {x, y}
+   */
+  getCornerNodes(clearance, bounds) {
+    const version = this.navigationGraph.version;
+    const cache = this.cornerCache;
+    if (cache && cache.version === version && cache.clearance === clearance) {
+      return cache.nodes;
+    }
+
+    const walls = this.navigationGraph.getWallSegments().map(wallDoc => wallDoc.c);
+
+    // Directions of the walls leaving each endpoint
+    const endpoints = new Map();
+    const addDirection = (x, y, toX, toY) => {
+      const key = `${Math.round(x)},${Math.round(y)}`;
+      if (!endpoints.has(key)) endpoints.set(key, { x, y, angles: [] });
+      endpoints.get(key).angles.push(Math.atan2(toY - y, toX - x));
+    };
+    for (const c of walls) {
+      addDirection(c[0], c[1], c[2], c[3]);
+      addDirection(c[2], c[3], c[0], c[1]);
+    }
+
+    const radius = Math.max(clearance, 1) * CORNER_CLEARANCE_FACTOR;
+    const nodes = [];
+
+    for (const { x, y, angles } of endpoints.values()) {
+      angles.sort((a, b) => a - b);
+
+      for (let k = 0; k < angles.length; k++) {
+        const from = angles[k];
+        const to = k + 1 < angles.length ? angles[k + 1] : angles[0] + (2 * Math.PI);
+        const gap = to - from;
+
+        // Only open space wider than a half turn can be walked around
+        if (gap <= Math.PI + EPSILON) continue;
+
+        const nodeAngles = [from + (gap / 2)];
+        if (gap > 1.5 * Math.PI) {
+          // Wall ends: also step out to either side so the token can wrap around
+          nodeAngles.push(from + (Math.PI / 2), to - (Math.PI / 2));
+        }
+
+        for (const angle of nodeAngles) {
+          const node = { x: x + (Math.cos(angle) * radius), y: y + (Math.sin(angle) * radius) };
+          if (bounds && !this.isPointWithinBounds(node, bounds, clearance)) continue;
+          if (this.getWallsWithin(node, walls, clearance - CLEARANCE_TOLERANCE).length > 0) continue;
+          nodes.push(node);
+        }
+      }
+    }
+
+    this.cornerCache = { version, clearance, nodes };
+    return nodes;
+  }
+
+  /**
+   * Check if a token can travel a straight segment without touching walls
+   * One-way, limited and proximity walls only stop the segment by their movement rule
+   * and are never kept at a distance
+   * @param {Object} a - Segment start {x, y}
+   * @param {Object} b - Segment end {x, y}
+   * @param {Object} context - Search context {walls, rules, clearance, startWalls, endWalls}
+   * @param {Boolean} fromStart - True if a is the path's start point
+   * @param {Boolean} toEnd - True if b is the path's end point
+   * @returns {Boolean} - True if clear
+   */
+  isSegmentClear(a, b, context, fromStart = true, toEnd = true) {
+    const { walls, rules, clearance } = context;
+    const margin = clearance - CLEARANCE_TOLERANCE;
+    const minX = Math.min(a.x, b.x) - margin;
+    const maxX = Math.max(a.x, b.x) + margin;
+    const minY = Math.min(a.y, b.y) - margin;
+    const maxY = Math.max(a.y, b.y) + margin;
+
+    let limitedCrossings = 0;
+
+    for (let index = 0; index < walls.length; index++) {
+      const c = walls[index];
+      const rule = rules?.[index];
+
+      // Cheap bounding box rejection first
+      if (Math.max(c[0], c[2]) < minX || Math.min(c[0], c[2]) > maxX) continue;
+      if (Math.max(c[1], c[3]) < minY || Math.min(c[1], c[3]) > maxY) continue;
+
+      if (utils.lineSegmentsIntersect(a.x, a.y, b.x, b.y, c[0], c[1], c[2], c[3])) {
+        if (rule && !utils.wallRuleApplies(rule, c, a)) continue;
+        // Limited walls only stop movement that crosses a second one
+        if (rule?.limited && ++limitedCrossings < 2) continue;
+        return false;
+      }
+      if (rule && (rule.side || rule.limited || rule.threshold)) continue;
+
+      const touching = (fromStart && context.startWalls.includes(c)) || (toEnd && context.endWalls.includes(c));
+      if (touching || margin <= 0) continue;
+
+      if (this.getSegmentDistance(a, b, c) < margin) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the walls closer to a point than a distance
+   * @param {Object} point - Point {x, y}
+   * @param {Array} walls - Wall coordinates [x1, y1, x2, y2]
+   * @param {Number} distance - Distance in pixels
+   * @returns {Array} - The walls within the distance
+   */
+  getWallsWithin(point, walls, distance) {
+    if (distance <= 0) return [];
+    return walls.filter(c => this.getPointSegmentDistance(point, c[0], c[1], c[2], c[3]) < distance);
+  }
+
+  /**
+   * Check if a point keeps a margin from the scene edges
+   * @param {Object} point - Point {x, y}
+   * @param {Object} bounds - Scene bounds {x, y, width, height}
+   * @param {Number} margin - Margin in pixels
+   * @returns {Boolean} - True if inside
+   */
+  isPointWithinBounds(point, bounds, margin) {
+    return point.x >= bounds.x + margin &&
+           point.x <= bounds.x + bounds.width - margin &&
+           point.y >= bounds.y + margin &&
+           point.y <= bounds.y + bounds.height - margin;
+  }
+
+  /**
+   * Get the straight-line distance between two points
+   * @param {Object} a - Point {x, y}
+   * @param {Object} b - Point {x, y}
+   * @returns {Number} - Distance in pixels
+   */
+  getDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  }
+
+  /**
+   * Get the shortest distance between a path segment and a wall (segments do not cross)
+   * @param {Object} a - Segment start {x, y}
+   * @param {Object} b - Segment end {x, y}
+   * @param {Array} c - Wall coordinates [x1, y1, x2, y2]
+   * @returns {Number} - Distance in pixels
+   */
+  getSegmentDistance(a, b, c) {
+    return Math.min(
+      this.getPointSegmentDistance(a, c[0], c[1], c[2], c[3]),
+      this.getPointSegmentDistance(b, c[0], c[1], c[2], c[3]),
+      this.getPointSegmentDistance({ x: c[0], y: c[1] }, a.x, a.y, b.x, b.y),
+      this.getPointSegmentDistance({ x: c[2], y: c[3] }, a.x, a.y, b.x, b.y)
+    );
+  }
+
+  /**
+   * Get the shortest distance from a point to a segment
+   * @param {Object} p - Point {x, y}
+   * @returns {Number} - Distance in pixels
+   */
+  getPointSegmentDistance(p, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = (dx * dx) + (dy * dy);
+
+    let t = 0;
+    if (lengthSquared > 0) {
+      t = Math.max(0, Math.min(1, (((p.x - x1) * dx) + ((p.y - y1) * dy)) / lengthSquared));
+    }
+
+    return Math.hypot(p.x - (x1 + (t * dx)), p.y - (y1 + (t * dy)));
+  }
+
+  /**
+   * Drop cached corner nodes
+   */
+  clear() {
+    this.cornerCache = null;
+  }
+}